@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+/**
+ * Debt‑Payoff Coach — command line, on the same engine as the app
+ * - Reads debts from JSON (a list of debts, { debts, extra, strategy, … }, or an app backup) or CSV (header row;
+ *   columns are matched like the app's CSV import)
+ * - Prints the payoff summary (debt‑free date, interest, payoff order), as text or --json
+ * - Writes the full payment schedule as CSV with --schedule <file> ("-" for stdout)
+ *
+ * Options given on the command line override the ones stored in a JSON file.
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import { parseArgs } from "node:util";
+import {
+  EMPTY_DEBT, STRATEGIES, ACCRUAL_MODES, parseDay, formatDay, simulatePlan, onlyMinimumsPlan, minExtraToFinish,
+  debtFreeDate, isLocale, isCurrency, makeFormat, debtInHome, missingRates, scheduleCSV, validateDebt, parseCSV,
+  guessMapping, debtsFromCSV,
+} from "./debt_payoff_engine.mjs";
+
+const USAGE = `Usage: node debt_payoff_cli.mjs <debts.json|debts.csv> [options]
+
+  --strategy <id>     ${STRATEGIES.map((s) => s.id).join(" | ")} (default avalanche)
+  --extra <amount>    extra paid toward debt each month (default 0)
+  --accrual <mode>    ${ACCRUAL_MODES.map((m) => m.id).join(" | ")} (default monthly)
+  --start <date>      plan start, YYYY-MM-DD (default today)
+  --locale <tag>      number/date locale, also for amounts in the file, e.g. de-DE (default: system)
+  --currency <code>   currency of the amounts, e.g. EUR (default USD; a backup keeps its own)
+  --schedule <file>   write the full schedule as CSV ("-" = stdout, instead of the summary)
+  --json              print the summary as JSON
+  -h, --help          show this help`;
+
+class UsageError extends Error {}
+
+// File contents -> { debts, plan inputs found in the file, settings }; throws UsageError listing every bad row.
+// Amounts written as text ("1.234,50") are read with the separators of `locale`.
+function readDebts(text, fileName, locale) {
+  if (/\.csv$/i.test(fileName) || !/^\s*[[{]/.test(text)) {
+    const rows = parseCSV(text);
+    const results = debtsFromCSV(rows, guessMapping(rows[0] || []), true, locale);
+    const bad = results.filter((r) => r.errors.length);
+    if (bad.length) throw new UsageError(bad.map((r) => `line ${r.line}: ${r.errors.join("; ")}`).join("\n"));
+    return { debts: results.map((r, i) => ({ ...r.debt, id: `debt-${i + 1}` })) };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new UsageError(`${fileName} is not valid JSON: ${e.message}`);
+  }
+  const saved = data?.state || data?.household; // app backup / document: rows may be half filled in, check types only
+  const source = Array.isArray(data) ? { debts: data } : saved || data || {};
+  if (!Array.isArray(source.debts)) throw new UsageError(`${fileName} has no "debts" list`);
+  const checked = source.debts.map((d) => validateDebt(d || {}, { strict: !saved, locale }));
+  const errors = checked.flatMap(({ errors: e }, i) => e.map((msg) => `debt ${i + 1}: ${msg}`));
+  if (errors.length) throw new UsageError(errors.join("\n"));
+  // the checked fields as numbers ("$5,200" -> 5200); everything else (rule, promo, currency…) as given
+  const pick = ({ name, balance, apr, min, dueDay, minPct, termMonths, promoApr, transferFee }) =>
+    ({ name, balance, apr, min, dueDay, minPct, termMonths, promoApr, transferFee });
+  return {
+    ...source,
+    debts: source.debts.map((d, i) => ({ ...EMPTY_DEBT, ...d, ...pick(checked[i].debt), id: d.id || `debt-${i + 1}` })),
+  };
+}
+
+// Throws UsageError for a strategy, accrual mode or extra the engine can't run; fields left undefined pass
+function checkPlanInput({ strategy, accrual, extra }) {
+  if (strategy !== undefined && !STRATEGIES.some((s) => s.id === strategy)) throw new UsageError(`Unknown strategy "${strategy}"`);
+  if (accrual !== undefined && !ACCRUAL_MODES.some((m) => m.id === accrual)) throw new UsageError(`Unknown accrual mode "${accrual}"`);
+  if (extra !== undefined && !(Number.isFinite(extra) && extra >= 0)) throw new UsageError(`--extra must be a number of at least 0`);
+}
+
+function summaryText(run, baseline, { input, start, fmt, strategyLabel, minExtra }) {
+  const lines = [];
+  if (run.diagnostics.complete) {
+    lines.push(`Debt‑free: ${fmt.month(debtFreeDate(run, start))} (${run.months} months)`);
+  } else {
+    const names = run.diagnostics.unpaid.map((d) => d.name || "(unnamed)").join(", ");
+    lines.push(`Not debt‑free within 50 years — ${names} still owe money.`);
+    if (minExtra != null) lines.push(`Needs at least ${fmt.money(minExtra)} extra / mo to ever finish.`);
+  }
+  lines.push(`Strategy: ${strategyLabel} · extra ${fmt.money(input.extra)} / mo · ${input.accrual} accrual`);
+  lines.push(`Total interest: ${fmt.money(run.totalInterest)} (${fmt.money(Math.max(0, baseline.totalInterest - run.totalInterest))} less than minimums only)`);
+  lines.push("", "Payoff order:");
+  const order = [...run.payoff].sort((a, b) => (a.payoffDate?.getTime() ?? Infinity) - (b.payoffDate?.getTime() ?? Infinity));
+  const width = Math.max(...order.map((p) => (p.name || "(unnamed)").length));
+  order.forEach((p, i) => {
+    const when = p.payoffDate ? (input.accrual === "daily" ? fmt.day : fmt.month)(p.payoffDate) : "not paid off";
+    lines.push(`  ${i + 1}. ${(p.name || "(unnamed)").padEnd(width)}  ${when.padEnd(12)}  interest ${fmt.money(p.interestPaid)}`);
+  });
+  run.diagnostics.growing.forEach((g) => lines.push(`Warning: ${g.name || "(unnamed)"} grows for ${g.months} month(s).`));
+  return lines.join("\n");
+}
+
+function summaryJSON(run, baseline, { input, start, minExtra }) {
+  return {
+    complete: run.diagnostics.complete,
+    months: run.months,
+    debtFreeDate: run.diagnostics.complete ? formatDay(debtFreeDate(run, start)) : null,
+    strategy: input.strategy,
+    extra: input.extra,
+    accrual: input.accrual,
+    totalInterest: +run.totalInterest.toFixed(2),
+    interestSaved: +Math.max(0, baseline.totalInterest - run.totalInterest).toFixed(2),
+    minExtraToFinish: minExtra,
+    payoff: run.payoff.map((p) => ({
+      id: p.id,
+      name: p.name,
+      payoffDate: p.payoffDate ? formatDay(p.payoffDate) : null,
+      interestPaid: +p.interestPaid.toFixed(2),
+    })),
+  };
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      strategy: { type: "string" },
+      extra: { type: "string" },
+      accrual: { type: "string" },
+      start: { type: "string" },
+      locale: { type: "string" },
+      currency: { type: "string" },
+      schedule: { type: "string" },
+      json: { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  if (values.help) return console.log(USAGE);
+  if (positionals.length !== 1) throw new UsageError(USAGE);
+  if (values.locale && !isLocale(values.locale)) throw new UsageError(`Unknown locale "${values.locale}" (use a tag like en-US)`);
+  if (values.currency !== undefined && !isCurrency(values.currency)) throw new UsageError(`Unknown currency "${values.currency}" (use a code like EUR)`);
+
+  checkPlanInput({ strategy: values.strategy, accrual: values.accrual, extra: values.extra === undefined ? undefined : Number(values.extra) });
+  // a day that doesn't exist (2026-02-30) would roll over into the next month
+  if (values.start !== undefined && !(/^\d{4}-\d{2}-\d{2}$/.test(values.start) && formatDay(parseDay(values.start)) === values.start)) {
+    throw new UsageError(`--start must be a date as YYYY-MM-DD, not "${values.start}"`);
+  }
+
+  const file = readDebts(await readFile(positionals[0], "utf8"), positionals[0], values.locale);
+  const input = {
+    strategy: values.strategy ?? file.strategy ?? "avalanche",
+    extra: values.extra !== undefined ? Number(values.extra) : +file.extra || 0,
+    accrual: values.accrual ?? file.accrual ?? "monthly",
+  };
+  checkPlanInput(input); // the file's own strategy, accrual and extra
+
+  // --currency is the home currency of a plain debts file; a file with its own settings (a backup) keeps its
+  // currency, and amounts in other currencies count at its rates
+  const currency = values.currency?.toUpperCase();
+  if (currency && file.settings?.currency && currency !== file.settings.currency) {
+    throw new UsageError(`${positionals[0]} is in ${file.settings.currency}; --currency ${currency} can't convert it`);
+  }
+  const settings = { locale: "", currency: "USD", rates: {}, ...file.settings, ...(currency && { currency }) };
+  const missing = missingRates(file.debts, settings);
+  if (missing.length) throw new UsageError(`No exchange rate for ${missing.join(", ")} in ${positionals[0]}`);
+  const debts = file.debts.map((d) => debtInHome(d, settings));
+  const fmt = makeFormat({ locale: values.locale ?? settings.locale, currency: settings.currency });
+  fmt.problems.forEach((p) => console.error(`Warning: ${p} in ${positionals[0]}`)); // a backup's own settings
+
+  const start = values.start ? parseDay(values.start) : new Date();
+  const options = {
+    customOrder: file.customOrder,
+    hybridThreshold: file.hybridThreshold ?? 1000,
+    windfalls: file.windfalls,
+    extraChanges: file.extraChanges,
+    accrual: input.accrual,
+  };
+  const run = simulatePlan(debts, input.extra, input.strategy, start, options);
+  const baseline = onlyMinimumsPlan(debts, input.accrual, start);
+  const minExtra = run.diagnostics.complete ? null : minExtraToFinish(debts, input.strategy, start, options);
+
+  if (values.schedule === "-") return process.stdout.write(`${scheduleCSV(run, debts, fmt)}\r\n`);
+  if (values.schedule) await writeFile(values.schedule, `${scheduleCSV(run, debts, fmt)}\r\n`);
+
+  const context = { input, start, fmt, minExtra, strategyLabel: STRATEGIES.find((s) => s.id === input.strategy).label };
+  console.log(values.json ? JSON.stringify(summaryJSON(run, baseline, context), null, 2) : summaryText(run, baseline, context));
+  if (values.schedule && !values.json) console.log(`\nSchedule written to ${values.schedule}`);
+}
+
+main(process.argv.slice(2)).catch((e) => {
+  console.error(e instanceof UsageError || e.code === "ENOENT" || e.code === "ERR_PARSE_ARGS_UNKNOWN_OPTION" ? e.message : e);
+  process.exitCode = 1;
+});
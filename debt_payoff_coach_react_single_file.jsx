@@ -1,26 +1,53 @@
-import React, { useEffect, useMemo, useState } from "react";
-import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, AreaChart, Area, CartesianGrid, BarChart, Bar, Legend } from "recharts";
-import { Plus, Trash2, Sparkles, Calendar, PiggyBank, TrendingDown, Gauge, Target, Trophy, Settings, Save, RotateCcw } from "lucide-react";
+import React, { useEffect, useMemo, useReducer, useRef, useState } from "react";
+import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer, Area, CartesianGrid, BarChart, Bar, Legend, ComposedChart, ReferenceLine } from "recharts";
+import { Plus, Trash2, Sparkles, Calendar, PiggyBank, TrendingDown, Gauge, Target, Trophy, Settings, Save, RotateCcw, ChevronDown, ChevronRight, Receipt, AlertTriangle, Gift, GitBranch, Layers, Download, Printer, Upload, Undo2, Redo2, Users } from "lucide-react";
+import {
+  clamp, EMPTY_DEBT, MIN_RULES, ACCRUAL_MODES, monthAdd, formatMonth, formatDay, parseDay, monthsBetween,
+  startBalance, actualBalances, paymentStreak, currentMinimum, STRATEGIES, simulatePlan, minExtraToFinish,
+  solveExtraForTarget, solveForBudget, consolidateDebts, analyzeConsolidation, debtFreeDate, onlyMinimumsPlan,
+  budgetSummary, makeFormat, rateToHome, missingRates, debtInHome, paymentsInHome, scheduleRows, scheduleCSV,
+  DEBT_IMPORT_FIELDS, parseNumber, validateDebt, parseCSV, guessMapping, debtsFromCSV,
+} from "./debt_payoff_engine.mjs";
 
 /**
  * Debt‑Payoff Coach — single‑file React app
  * - Add debts (name, balance, APR, minimum, due day)
- * - Enter income and extra payment budget
- * - Choose strategy: Avalanche (highest APR first) or Snowball (smallest balance first)
+ * - Monthly budget: income sources, fixed/variable expenses and a savings target → surplus, suggested extra,
+ *   debt‑to‑income ratio
+ * - Choose strategy: Avalanche (highest APR first), Snowball (smallest balance first), highest interest cost,
+ *   snowball/avalanche hybrid, proportional split, or a custom drag‑and‑drop order — and compare them side by side
  * - Generates month‑by‑month payoff plan, payoff dates, interest saved vs. minimums‑only
- * - "What‑if" slider for extra amount
- * - Dashboard KPIs + charts + gamified milestones/streaks
- * - Autosaves to localStorage
+ * - Per‑debt amortization ledger (opening, interest, minimum, extra, closing) and lifetime interest
+ * - Cash‑flow schedule: one‑off windfalls (optionally aimed at a debt) and recurring changes/pauses to the extra
+ * - "What‑if" slider for extra amount, plus a goal solver (debt‑free by a date, or best use of a budget)
+ * - Minimum‑payment rules per debt: fixed, % of balance, interest + 1%, or fixed‑term installment
+ * - Promotional APR periods (promo rate until a month, then the go‑to APR) and balance‑transfer fees
+ * - Interest accrual: monthly approximation, or daily periodic rate on the average daily balance per statement cycle
+ *   (per‑debt statement and due days, real calendar payoff dates)
+ * - Payment log per debt: progress, milestones and streaks track what was actually paid
+ * - Diagnostics: debts that grow, plans that never finish, budgets that exceed income (+ the extra needed)
+ * - Dashboard KPIs + charts (plan vs. actual) + gamified milestones/streaks
+ * - Consolidation / refinance analyzer: roll selected debts into one loan and compare against the current plan
+ * - Exports: schedule as CSV, payment reminders as an .ics calendar (on each debt's due day), printable report
+ * - Imports: debts from CSV (with column mapping) and OFX/QFX statements, JSON backup/restore — validated per row
+ * - Named scenarios that fork the plan inputs, persist separately and compare on one timeline
+ * - Locale & currency settings for every amount, date, chart and export; debts in other currencies convert to the
+ *   home currency at user‑entered exchange rates for one combined plan
+ * - Autosaves to IndexedDB (localStorage fallback): versioned schema with migrations, validation on load,
+ *   multiple household profiles, undo/redo of every edit (including Reset)
  *
- * Notes: Pure front‑end math (approximate but conservative):
- * Interest compounds monthly using APR/12. Each month we apply minimums first, then distribute extra to target debt; any overflow cascades automatically.
+ * Notes: Pure front‑end math (approximate but conservative), kept in debt_payoff_engine.mjs — shared with the CLI:
+ * Monthly mode compounds APR/12 once a month; daily mode charges APR/365 per day, posted at each statement close.
+ * Each month we apply minimums first, then distribute extra to target debt; any overflow cascades automatically.
  */
 
-const currency = (n) => n.toLocaleString(undefined, { style: "currency", currency: "USD" });
-const pct = (n, d = 0) => `${(n * 100).toFixed(d)}%`;
-const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
-
-const EMPTY_DEBT = { id: "", name: "", balance: 0, apr: 0, min: 0, dueDay: 1 };
+const EMPTY_PAYMENT = { debtId: "", date: "", amount: 0, statementBalance: "" };
+const EMPTY_WINDFALL = { id: "", month: "", amount: 0, debtId: "" }; // debtId "" = follow the strategy
+const EMPTY_EXTRA_CHANGE = { id: "", from: "", until: "", kind: "adjust", amount: 0 }; // kind: "adjust" | "pause"
+const EMPTY_INCOME = { id: "", name: "", amount: 0 };
+const EMPTY_EXPENSE = { id: "", name: "", amount: 0, kind: "fixed" }; // kind: "fixed" | "variable"
+const LOCALES = ["", "en-US", "en-CA", "fr-CA", "en-GB", "en-IE", "de-DE", "fr-FR", "es-ES", "it-IT", "nl-NL", "pt-PT", "sv-SE", "pl-PL"]; // "" = browser default
+const CURRENCIES = ["USD", "CAD", "EUR", "GBP", "CHF", "SEK", "NOK", "DKK", "PLN", "CZK", "AUD", "NZD", "MXN", "JPY", "INR"];
 
 const exampleDebts = [
   { id: crypto.randomUUID(), name: "Visa", balance: 5200, apr: 22.99, min: 110, dueDay: 12 },
@@ -28,137 +55,608 @@ const exampleDebts = [
   { id: crypto.randomUUID(), name: "Store Card", balance: 1350, apr: 25.49, min: 35, dueDay: 18 },
 ];
 
+// Pre‑profile (schema v1) localStorage keys, adopted into the first profile on upgrade
 const STORAGE_KEY = "debt_coach_v1";
+const SCENARIOS_KEY = "debt_coach_scenarios_v1";
 
-function usePersistentState(defaultState) {
-  const [state, setState] = useState(() => {
-    try {
-      const raw = localStorage.getItem(STORAGE_KEY);
-      return raw ? JSON.parse(raw) : defaultState;
-    } catch {
-      return defaultState;
-    }
+// Plan inputs a scenario forks; everything else (budget, payment log, plan start) stays with the household
+const SCENARIO_FIELDS = ["debts", "extra", "whatIfExtra", "strategy", "customOrder", "hybridThreshold", "windfalls", "extraChanges", "accrual"];
+const SERIES_COLORS = ["#0ea5e9", "#10b981", "#f59e0b", "#ef4444", "#8b5cf6", "#ec4899", "#14b8a6", "#64748b"];
+
+const pick = (obj, keys) => Object.fromEntries(keys.filter((k) => k in obj).map((k) => [k, obj[k]]));
+const omit = (obj, keys) => Object.fromEntries(Object.entries(obj).filter(([k]) => !keys.includes(k)));
+
+function defaultHousehold() {
+  return {
+    debts: exampleDebts.map((d) => ({ ...EMPTY_DEBT, ...d })),
+    payments: [], // { id, debtId, date: "YYYY-MM-DD", amount, statementBalance }
+    planStart: formatDay(new Date()),
+    budget: {
+      incomeSources: [{ id: crypto.randomUUID(), name: "Take‑home pay", amount: 5200 }],
+      expenses: [
+        { id: crypto.randomUUID(), name: "Rent", amount: 1650, kind: "fixed" },
+        { id: crypto.randomUUID(), name: "Utilities & phone", amount: 240, kind: "fixed" },
+        { id: crypto.randomUUID(), name: "Groceries", amount: 650, kind: "variable" },
+        { id: crypto.randomUUID(), name: "Transport", amount: 300, kind: "variable" },
+      ],
+      savingsMonthly: 200, // set aside before any extra goes to debt
+      emergencyFundSaved: 1500,
+      emergencyFundMonths: 3, // goal, in months of expenses
+    },
+    extra: 400,
+    strategy: "avalanche", // any STRATEGIES id
+    customOrder: [], // debt ids, highest priority first ("custom" strategy)
+    hybridThreshold: 1000, // "hybrid": clear balances at or below this first
+    windfalls: [], // one‑off lump sums, see EMPTY_WINDFALL
+    extraChanges: [], // recurring changes to the extra, see EMPTY_EXTRA_CHANGE
+    accrual: "monthly", // any ACCRUAL_MODES id
+    whatIfExtra: 400,
+    settings: { locale: "", currency: "USD", rates: {} }, // rates[code]: one unit of `code` in the home currency
+  };
+}
+
+function blankHousehold() {
+  return {
+    ...defaultHousehold(),
+    debts: [{ ...structuredClone(EMPTY_DEBT), id: crypto.randomUUID() }],
+    budget: { incomeSources: [], expenses: [], savingsMonthly: 0, emergencyFundSaved: 0, emergencyFundMonths: 3 },
+    extra: 0,
+    whatIfExtra: 0,
+  };
+}
+
+// ---- Storage: versioned documents, migrations, profiles ----
+//
+// Each profile is one document { schemaVersion, household, scenarios } stored under profileKey(id);
+// PROFILES_KEY holds { activeId, profiles: [{ id, name }] }.
+
+const SCHEMA_VERSION = 5;
+const PROFILES_KEY = "debt_coach_profiles";
+const profileKey = (id) => `debt_coach_profile:${id}`;
+
+// MIGRATIONS[v] upgrades a version‑v document to v + 1. Keep each step frozen: it describes the data as it was.
+const MIGRATIONS = {
+  // v1: the single pre‑profile state object (+ scenarios) — fill every field added since, give debts ids
+  1: (doc) => {
+    const debt = (d) => ({ dueDay: 1, minRule: "fixed", minPct: 2, termMonths: 60, promoApr: 0, promoUntil: "", transferFee: 0, ...d, id: d.id || crypto.randomUUID() });
+    const h = doc.household || {};
+    return {
+      schemaVersion: 2,
+      household: {
+        payments: [],
+        planStart: formatDay(new Date()),
+        income: 0,
+        extra: 0,
+        whatIfExtra: h.extra ?? 0,
+        strategy: "avalanche",
+        customOrder: [],
+        hybridThreshold: 1000,
+        windfalls: [],
+        extraChanges: [],
+        ...h,
+        debts: (h.debts || []).map(debt),
+      },
+      scenarios: (doc.scenarios || []).map((sc) => ({ ...sc, debts: (sc.debts || []).map(debt) })),
+    };
+  },
+  // v2: the single `income` number becomes the budget's first income source
+  2: (doc) => {
+    const { income, ...household } = doc.household || {};
+    const incomeSources = +income > 0 ? [{ id: crypto.randomUUID(), name: "Income", amount: +income }] : [];
+    return {
+      ...doc,
+      schemaVersion: 3,
+      household: { ...household, budget: { incomeSources, expenses: [], savingsMonthly: 0, emergencyFundSaved: 0, emergencyFundMonths: 3 } },
+    };
+  },
+  // v3: accrual mode (household and scenarios keep the monthly approximation) and per‑debt statement day
+  3: (doc) => {
+    const debts = (list) => (list || []).map((d) => ({ statementDay: "", ...d }));
+    return {
+      ...doc,
+      schemaVersion: 4,
+      household: { ...doc.household, accrual: "monthly", debts: debts(doc.household?.debts) },
+      scenarios: (doc.scenarios || []).map((sc) => ({ ...sc, accrual: "monthly", debts: debts(sc.debts) })),
+    };
+  },
+  // v4: locale/currency settings (browser locale, US dollars as before); every debt is in the home currency
+  4: (doc) => {
+    const debts = (list) => (list || []).map((d) => ({ currency: "", ...d }));
+    return {
+      ...doc,
+      schemaVersion: 5,
+      household: { ...doc.household, settings: { locale: "", currency: "USD", rates: {} }, debts: debts(doc.household?.debts) },
+      scenarios: (doc.scenarios || []).map((sc) => ({ ...sc, debts: debts(sc.debts) })),
+    };
+  },
+};
+
+function migrateDocument(doc) {
+  let next = doc;
+  for (let v = next.schemaVersion ?? 1; v < SCHEMA_VERSION; v++) next = MIGRATIONS[v](next);
+  return next;
+}
+
+// Structural checks on a current‑version document; returns readable errors (empty when the document is usable)
+function validateDocument(doc) {
+  const errors = [];
+  const isNum = (v) => v === "" || Number.isFinite(+v);
+  const h = doc?.household;
+  if (!h || typeof h !== "object") return ["Missing household data"];
+  if (!Array.isArray(h.debts)) errors.push("Debts must be a list");
+  (h.debts || []).forEach((d, i) => {
+    if (!d || typeof d.id !== "string" || !d.id) errors.push(`Debt ${i + 1}: missing id`);
+    else ["balance", "apr", "min"].forEach((k) => { if (!isNum(d[k])) errors.push(`Debt ${i + 1} (${d.name || "unnamed"}): ${k} is not a number`); });
   });
-  useEffect(() => {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
-    } catch {}
-  }, [state]);
-  return [state, setState];
+  ["payments", "customOrder", "windfalls", "extraChanges"].forEach((k) => { if (!Array.isArray(h[k])) errors.push(`${k} must be a list`); });
+  (Array.isArray(h.payments) ? h.payments : []).forEach((p, i) => {
+    if (!p?.debtId || !/^\d{4}-\d{2}-\d{2}$/.test(p.date || "") || !isNum(p.amount)) errors.push(`Payment ${i + 1} is malformed`);
+  });
+  ["extra", "whatIfExtra"].forEach((k) => { if (!isNum(h[k])) errors.push(`${k} is not a number`); });
+  if (!ACCRUAL_MODES.some((m) => m.id === h.accrual)) errors.push(`Unknown accrual mode "${h.accrual}"`);
+  const st = h.settings;
+  if (!st || typeof st !== "object" || !/^[A-Z]{3}$/.test(st.currency || "") || typeof st.locale !== "string" || !st.rates || typeof st.rates !== "object") {
+    errors.push("Settings are malformed");
+  } else {
+    Object.entries(st.rates).forEach(([code, rate]) => { if (!isNum(rate)) errors.push(`Exchange rate for ${code} is not a number`); });
+  }
+  const b = h.budget;
+  if (!b || typeof b !== "object" || !Array.isArray(b.incomeSources) || !Array.isArray(b.expenses)) errors.push("Budget is malformed");
+  else {
+    [...b.incomeSources, ...b.expenses].forEach((r, i) => { if (!r?.id || !isNum(r.amount)) errors.push(`Budget line ${i + 1} is malformed`); });
+    ["savingsMonthly", "emergencyFundSaved", "emergencyFundMonths"].forEach((k) => { if (!isNum(b[k])) errors.push(`budget.${k} is not a number`); });
+  }
+  if (!Array.isArray(doc.scenarios)) errors.push("Scenarios must be a list");
+  (Array.isArray(doc.scenarios) ? doc.scenarios : []).forEach((sc, i) => {
+    if (!sc?.id || !Array.isArray(sc.debts)) errors.push(`Scenario ${i + 1} is malformed`);
+  });
+  return errors;
 }
 
-function monthAdd(date, n) {
-  const d = new Date(date);
-  d.setMonth(d.getMonth() + n);
-  return d;
+// Raw stored value -> { doc, errors }; doc is null when the data can't be used as is
+function readDocument(raw) {
+  let doc = raw;
+  try {
+    if (typeof raw === "string") doc = JSON.parse(raw);
+  } catch {
+    return { doc: null, errors: ["Saved data is not valid JSON"] };
+  }
+  if (!doc || typeof doc !== "object") return { doc: null, errors: ["Saved data is not an object"] };
+  if ((doc.schemaVersion ?? 1) > SCHEMA_VERSION) {
+    return { doc: null, errors: [`Saved data uses schema v${doc.schemaVersion}; this app only knows up to v${SCHEMA_VERSION}`] };
+  }
+  try {
+    doc = migrateDocument(doc);
+  } catch (e) {
+    return { doc: null, errors: [`Migration failed: ${e.message}`] };
+  }
+  const errors = validateDocument(doc);
+  return { doc: errors.length ? null : doc, errors };
 }
 
-function formatMonth(d) {
-  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+// Key/value backend: IndexedDB so the payment history can outgrow localStorage's quota; localStorage when
+// IndexedDB is unavailable (old browsers, some private modes).
+function openIndexedDB() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open("debt-coach", 1);
+    req.onupgradeneeded = () => req.result.createObjectStore("kv");
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
 }
 
-// Core simulator
-function simulatePlan(inputDebts, extra, strategy = "avalanche", today = new Date()) {
-  const debts = inputDebts
-    .map((d) => ({ ...d, balance: +d.balance, apr: +d.apr, min: +d.min }))
-    .filter((d) => d.balance > 0 && d.apr >= 0 && d.min >= 0);
-  if (!debts.length) return { months: 0, timeline: [], totalInterest: 0, payoff: [], plan: [] };
-
-  const totalStart = debts.reduce((s, d) => s + d.balance, 0);
-  const maxMonths = 600; // safety cap (50 years)
-
-  const payoff = debts.map((d) => ({ id: d.id, name: d.name, startBalance: d.balance, payoffMonthIndex: null, payoffDate: null, interestPaid: 0 }));
-  const timeline = []; // {monthIndex, totalBalance, interestPaid}
-  const plan = []; // per-month breakdown rows
-
-  let monthIndex = 0;
-  let active = debts.map((d) => ({ ...d }));
-
-  // helper: pick target by strategy
-  const pickTargetIndex = () => {
-    const open = active.filter((x) => x.balance > 0);
-    if (!open.length) return -1;
-    if (strategy === "snowball") {
-      const smallest = Math.min(...open.map((x) => x.balance));
-      return active.findIndex((x) => x.balance === smallest && x.balance > 0);
-    } else {
-      // avalanche (default): highest APR
-      const hi = Math.max(...open.map((x) => x.apr));
-      return active.findIndex((x) => x.apr === hi && x.balance > 0);
+async function openStorage() {
+  try {
+    if (typeof indexedDB === "undefined") throw new Error("IndexedDB unavailable");
+    const db = await openIndexedDB();
+    const run = (mode, op) => new Promise((resolve, reject) => {
+      const req = op(db.transaction("kv", mode).objectStore("kv"));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return {
+      kind: "IndexedDB",
+      get: (key) => run("readonly", (s) => s.get(key)),
+      set: (key, value) => run("readwrite", (s) => s.put(value, key)),
+      remove: (key) => run("readwrite", (s) => s.delete(key)),
+      keys: () => run("readonly", (s) => s.getAllKeys()),
+    };
+  } catch {
+    return {
+      kind: "localStorage",
+      get: async (key) => localStorage.getItem(key) ?? undefined, // raw string; readDocument parses it
+      set: async (key, value) => localStorage.setItem(key, JSON.stringify(value)),
+      remove: async (key) => localStorage.removeItem(key),
+      keys: async () => Array.from({ length: localStorage.length }, (_, i) => localStorage.key(i)),
+    };
+  }
+}
+
+// Stored JSON (IndexedDB keeps objects, localStorage strings)
+const asObject = (v) => (typeof v === "string" ? JSON.parse(v) : v);
+
+// First run after the upgrade: the v1 localStorage data becomes the first profile (the old keys are left in place).
+// With `saveIndex` false the new index is only returned, leaving whatever is stored under PROFILES_KEY alone.
+async function adoptLegacyData(storage, { saveIndex = true } = {}) {
+  let household;
+  let scenarios = [];
+  try {
+    household = JSON.parse(localStorage.getItem(STORAGE_KEY) || "null");
+    scenarios = JSON.parse(localStorage.getItem(SCENARIOS_KEY) || "[]");
+  } catch {}
+  const id = crypto.randomUUID();
+  const doc = household
+    ? { schemaVersion: 1, household, scenarios }
+    : { schemaVersion: SCHEMA_VERSION, household: defaultHousehold(), scenarios: [] };
+  const index = { activeId: id, profiles: [{ id, name: "Household" }] };
+  await storage.set(profileKey(id), doc);
+  if (saveIndex) await storage.set(PROFILES_KEY, index);
+  return index;
+}
+
+// Loads the profile index -> { index, errors }. An index that can't be read or used is never replaced by a blank one:
+// the profiles are rebuilt from the stored profile keys, an unusable stored index is kept under a ":recovered" key,
+// and after a read error nothing is written at all (the stored index may well be readable next time).
+async function loadIndex(storage) {
+  let raw;
+  let readError = null;
+  try {
+    raw = await storage.get(PROFILES_KEY);
+  } catch (e) {
+    readError = e;
+  }
+  if (!readError && raw === undefined) return { index: await adoptLegacyData(storage), errors: [] };
+  let idx;
+  try {
+    idx = readError ? null : asObject(raw);
+  } catch {}
+  if (Array.isArray(idx?.profiles) && idx.profiles.length && idx.profiles.every((p) => p?.id)) {
+    return { index: idx.profiles.some((p) => p.id === idx.activeId) ? idx : { ...idx, activeId: idx.profiles[0].id }, errors: [] };
+  }
+
+  const errors = [readError ? `Could not read the profile list: ${readError.message}` : "The saved profile list is damaged."];
+  if (!readError) {
+    const recoveredKey = `${PROFILES_KEY}:recovered-${Date.now()}`;
+    await storage.set(recoveredKey, raw).catch(() => {});
+    errors.push(`The original was kept as “${recoveredKey}”.`);
+  }
+  let ids = [];
+  try {
+    const prefix = profileKey("");
+    ids = (await storage.keys()).map(String).filter((k) => k.startsWith(prefix) && !k.includes(":recovered")).map((k) => k.slice(prefix.length));
+  } catch (e) {
+    errors.push(`Could not list the saved profiles: ${e.message}`);
+  }
+  if (!ids.length) {
+    errors.push("No saved profiles were found, so this is a new one.");
+    return { index: await adoptLegacyData(storage, { saveIndex: !readError }), errors };
+  }
+  const rebuilt = { activeId: ids[0], profiles: ids.map((id, i) => ({ id, name: `Recovered profile ${i + 1}` })) };
+  errors.push(`Rebuilt it from the ${ids.length} saved profile(s) found; rename them under Profiles.`);
+  if (!readError) await storage.set(PROFILES_KEY, rebuilt).catch(() => {});
+  return { index: rebuilt, errors };
+}
+
+// Loads a profile. Unusable data is kept under a ":recovered" key and replaced by a fresh plan, never dropped silently.
+async function loadProfile(storage, id) {
+  let raw;
+  try {
+    raw = await storage.get(profileKey(id));
+  } catch (e) {
+    return { doc: { schemaVersion: SCHEMA_VERSION, household: defaultHousehold(), scenarios: [] }, errors: [`Could not read saved data: ${e.message}`] };
+  }
+  if (raw === undefined) return { doc: { schemaVersion: SCHEMA_VERSION, household: blankHousehold(), scenarios: [] }, errors: [] };
+  const { doc, errors } = readDocument(raw);
+  if (doc) return { doc, errors };
+  const recoveredKey = `${profileKey(id)}:recovered-${Date.now()}`;
+  await storage.set(recoveredKey, raw).catch(() => {});
+  return { doc: { schemaVersion: SCHEMA_VERSION, household: defaultHousehold(), scenarios: [] }, errors, recoveredKey };
+}
+
+// Undo/redo history around the current document. Edits within COALESCE_MS of each other (typing, or one
+// action that touches household and scenarios) form a single undo step.
+const HISTORY_LIMIT = 100;
+const COALESCE_MS = 800;
+
+function historyReducer(h, action) {
+  switch (action.type) {
+    case "load":
+      return { doc: action.doc, past: [], future: [], lastEdit: 0 };
+    case "edit": {
+      const doc = typeof action.update === "function" ? action.update(h.doc) : action.update;
+      if (doc === h.doc) return h;
+      const coalesce = h.past.length && action.at - h.lastEdit < COALESCE_MS;
+      return { doc, past: coalesce ? h.past : [...h.past, h.doc].slice(-HISTORY_LIMIT), future: [], lastEdit: action.at };
     }
+    case "undo":
+      if (!h.past.length) return h;
+      return { doc: h.past.at(-1), past: h.past.slice(0, -1), future: [h.doc, ...h.future], lastEdit: 0 };
+    case "redo":
+      if (!h.future.length) return h;
+      return { doc: h.future[0], past: [...h.past, h.doc], future: h.future.slice(1), lastEdit: 0 };
+    default:
+      return h;
+  }
+}
+
+// The app's persistence: loads the active profile, autosaves edits, and exposes undo/redo and profile management
+function useStore() {
+  const [history, dispatch] = useReducer(historyReducer, undefined, () => ({
+    doc: { schemaVersion: SCHEMA_VERSION, household: defaultHousehold(), scenarios: [] },
+    past: [],
+    future: [],
+    lastEdit: 0,
+  }));
+  const [storage, setStorage] = useState(null);
+  const [index, setIndex] = useState({ activeId: null, profiles: [] });
+  const [loadIssue, setLoadIssue] = useState(null); // { errors, recoveredKey, indexErrors } when saved data couldn't be used
+  const [saveError, setSaveError] = useState(null);
+  const loaded = useRef(false);
+
+  const load = async (st, idx, indexErrors = []) => {
+    loaded.current = false;
+    const { doc, errors, recoveredKey } = await loadProfile(st, idx.activeId);
+    dispatch({ type: "load", doc });
+    setLoadIssue(errors.length || indexErrors.length ? { errors, recoveredKey, indexErrors } : null);
+    setIndex(idx);
+    loaded.current = true;
   };
 
-  while (monthIndex < maxMonths && active.some((d) => d.balance > 0.005)) {
-    // accrue interest & compute minimums
-    let monthInterest = 0;
-    const minimums = new Array(active.length).fill(0);
-
-    for (let i = 0; i < active.length; i++) {
-      const d = active[i];
-      if (d.balance <= 0) continue;
-      const r = d.apr / 100 / 12;
-      const interest = d.balance * r;
-      monthInterest += interest;
-      d.balance += interest;
-
-      const minPay = clamp(d.min, 0, d.balance);
-      d.balance -= minPay;
-      minimums[i] = minPay;
-    }
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      const st = await openStorage();
+      const { index: idx, errors } = await loadIndex(st);
+      if (cancelled) return;
+      setStorage(st);
+      await load(st, idx, errors);
+    })();
+    return () => { cancelled = true; };
+  }, []);
 
-    // distribute extra toward target (with cascading overflow)
-    let remainingExtra = Math.max(0, +extra || 0);
-    let payments = [...minimums];
-
-    while (remainingExtra > 0.0001 && active.some((d) => d.balance > 0.0001)) {
-      const idx = pickTargetIndex();
-      if (idx < 0) break;
-      const d = active[idx];
-      const pay = Math.min(remainingExtra, d.balance);
-      d.balance -= pay;
-      payments[idx] += pay;
-      remainingExtra -= pay;
+  const save = async () => {
+    if (!storage || !loaded.current || !index.activeId) return;
+    try {
+      await storage.set(profileKey(index.activeId), history.doc);
+      setSaveError(null);
+    } catch (e) {
+      setSaveError(e.message || String(e));
     }
+  };
 
-    // mark any paid‑off debts
-    for (let i = 0; i < active.length; i++) {
-      const d = active[i];
-      if (d.balance <= 0.0001 && payoff[i].payoffMonthIndex == null) {
-        payoff[i].payoffMonthIndex = monthIndex;
-        payoff[i].payoffDate = monthAdd(today, monthIndex + 1); // end of the month
-      }
+  // autosave (debounced) once the active profile has loaded
+  useEffect(() => {
+    if (!storage || !loaded.current) return;
+    const t = setTimeout(save, 300);
+    return () => clearTimeout(t);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [history.doc, storage]);
+
+  const writeIndex = async (idx) => {
+    setIndex(idx);
+    await storage.set(PROFILES_KEY, idx);
+  };
+
+  const switchProfile = async (id) => {
+    if (id === index.activeId) return;
+    await save();
+    const idx = { ...index, activeId: id };
+    await storage.set(PROFILES_KEY, idx);
+    await load(storage, idx);
+  };
+
+  const createProfile = async (name) => {
+    await save();
+    const id = crypto.randomUUID();
+    await storage.set(profileKey(id), { schemaVersion: SCHEMA_VERSION, household: blankHousehold(), scenarios: [] });
+    const idx = { activeId: id, profiles: [...index.profiles, { id, name: name || `Profile ${index.profiles.length + 1}` }] };
+    await storage.set(PROFILES_KEY, idx);
+    await load(storage, idx);
+  };
+
+  const renameProfile = (id, name) => writeIndex({ ...index, profiles: index.profiles.map((p) => (p.id === id ? { ...p, name } : p)) });
+
+  const deleteProfile = async (id) => {
+    if (index.profiles.length < 2) return;
+    await storage.remove(profileKey(id));
+    const profiles = index.profiles.filter((p) => p.id !== id);
+    const idx = { activeId: index.activeId === id ? profiles[0].id : index.activeId, profiles };
+    await storage.set(PROFILES_KEY, idx);
+    if (index.activeId === id) await load(storage, idx);
+    else setIndex(idx);
+  };
+
+  return {
+    ready: !!storage && !!index.activeId,
+    backend: storage?.kind,
+    doc: history.doc,
+    setDoc: (update) => dispatch({ type: "edit", update, at: Date.now() }),
+    undo: () => dispatch({ type: "undo" }),
+    redo: () => dispatch({ type: "redo" }),
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+    save,
+    profiles: index.profiles,
+    activeProfileId: index.activeId,
+    switchProfile,
+    createProfile,
+    renameProfile,
+    deleteProfile,
+    loadIssue,
+    dismissLoadIssue: () => setLoadIssue(null),
+    saveError,
+  };
+}
+
+// ---- Exports ----
+
+function icsText(s) {
+  return String(s).replace(/\\/g, "\\\\").replace(/[,;]/g, (c) => `\\${c}`).replace(/\n/g, "\\n");
+}
+
+// RFC 5545 §3.1: content lines longer than 75 octets continue on the next line after CRLF + space;
+// breaks fall between characters so a multi‑byte UTF‑8 sequence is never split
+function icsFold(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let part = "";
+  let octets = 0;
+  for (const ch of line) {
+    const size = encoder.encode(ch).length;
+    if (octets + size > (parts.length ? 74 : 75)) {
+      parts.push(part);
+      part = "";
+      octets = 0;
     }
+    part += ch;
+    octets += size;
+  }
+  return [...parts, part].join("\r\n ");
+}
 
-    // total remaining
-    const totalRemain = active.reduce((s, d) => s + Math.max(0, d.balance), 0);
+// One all‑day event per debt payment on its due day (RFC 5545)
+function scheduleICS(plan, debts, fmt) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+  const ymd = (d) => formatDay(d).replace(/-/g, "");
+  const events = scheduleRows(plan, debts).flatMap((r) => [
+    "BEGIN:VEVENT",
+    `UID:${r.debtId}-${r.monthIndex}@debt-coach`,
+    `DTSTAMP:${stamp}`,
+    `DTSTART;VALUE=DATE:${ymd(r.date)}`,
+    `DTEND;VALUE=DATE:${ymd(new Date(r.date.getFullYear(), r.date.getMonth(), r.date.getDate() + 1))}`,
+    `SUMMARY:${icsText(`Pay ${r.debt}: ${fmt.money(r.payment)}`)}`,
+    `DESCRIPTION:${icsText(`Planned payment ${fmt.money(r.payment)} (interest ${fmt.money(r.interest)}), ${fmt.money(r.remaining)} left after.`)}`,
+    "END:VEVENT",
+  ]);
+  return ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Debt-Payoff Coach//EN", "CALSCALE:GREGORIAN", ...events, "END:VCALENDAR"].map(icsFold).join("\r\n");
+}
 
-    // accumulate interest for each debt for reporting
-    for (let i = 0; i < active.length; i++) payoff[i].interestPaid += 0; // placeholder (already accounted globally)
+function escapeHtml(s) {
+  return String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
 
-    timeline.push({ monthIndex, totalBalance: totalRemain, interestPaid: monthInterest });
+// Stand‑alone HTML of the KPIs, payoff order and full schedule, for printing or handing to a counselor
+function printableReport({ plan, debts, kpis, fmt, title = "Debt‑Payoff Plan" }) {
+  const byId = new Map(debts.map((d) => [d.id, d]));
+  const order = [...plan.payoff].sort((a, b) => (a.payoffDate?.getTime() ?? Infinity) - (b.payoffDate?.getTime() ?? Infinity));
+  const table = (head, rows) => `<table><thead><tr>${head.map((h) => `<th>${escapeHtml(h)}</th>`).join("")}</tr></thead><tbody>${
+    rows.map((r) => `<tr>${r.map((c) => `<td>${escapeHtml(c)}</td>`).join("")}</tr>`).join("")}</tbody></table>`;
+  return `<!doctype html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title><style>
+body{font:12px/1.4 system-ui,sans-serif;color:#0f172a;margin:24px}h1{font-size:18px}h2{font-size:14px;margin-top:24px}
+table{border-collapse:collapse;width:100%}th,td{border-bottom:1px solid #e2e8f0;padding:4px 6px;text-align:left}th{color:#64748b}
+.kpis td:first-child{color:#64748b;width:40%}@media print{h2{break-after:avoid}tr{break-inside:avoid}}
+</style></head><body>
+<h1>${escapeHtml(title)}</h1><div>Prepared ${escapeHtml(fmt.day(new Date()))}</div>
+<h2>Summary</h2><div class="kpis">${table(["", ""], kpis.map((k) => [k.label, k.value]))}</div>
+<h2>Payoff order</h2>${table(
+    ["Debt", "Start balance", "APR", "Due day", "Payoff", "Interest"],
+    order.map((p) => [p.name || "(unnamed)", fmt.money(p.startBalance), `${(+byId.get(p.id)?.apr || 0).toFixed(2)}%`, byId.get(p.id)?.dueDay ?? "", p.payoffDate ? fmt.month(p.payoffDate) : "—", fmt.money(p.interestPaid)])
+  )}
+<h2>Payment schedule</h2>${table(
+    ["Date", "Debt", "Payment", "Interest", "Remaining"],
+    scheduleRows(plan, debts).map((r) => [fmt.day(r.date), r.debt, fmt.money(r.payment), fmt.money(r.interest), fmt.money(r.remaining)])
+  )}
+</body></html>`;
+}
 
-    const row = {
-      monthIndex,
-      date: monthAdd(today, monthIndex + 1),
-      payments,
-      remaining: active.map((d) => Math.max(0, d.balance)),
-      interest: monthInterest,
-      totalRemaining: totalRemain,
+function downloadFile(filename, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ---- Imports & validation ----
+
+const BACKUP_VERSION = 1;
+
+// OFX 1.x (SGML) and 2.x (XML) / QFX statements: one debt per credit‑card or loan statement.
+// Balance from LEDGERBAL (or the loan's principal balance), rate and minimum when the institution includes them.
+function debtsFromOFX(text) {
+  const tag = (block, name) => block.match(new RegExp(`<${name}>\\s*([^<\\r\\n]*)`, "i"))?.[1]?.trim();
+  const org = tag(text, "ORG");
+  const statements = [...text.matchAll(/<(CCSTMTRS|STMTRS|LOANSTMTRS)>([\s\S]*?)<\/\1>/gi)];
+  if (!statements.length) return [{ line: 1, debt: null, errors: ["No credit‑card or loan statements found in this file"] }];
+  return statements.map(([, kind, block], i) => {
+    const acct = tag(block, "ACCTID") || "";
+    const balance = tag(block, "PRINBAL") ?? tag(block, "BALAMT");
+    const fields = {
+      name: [org, kind.toUpperCase() === "LOANSTMTRS" ? "loan" : "card", acct && `…${acct.slice(-4)}`].filter(Boolean).join(" "),
+      balance: balance === undefined ? undefined : Math.abs(parseNumber(balance, "en-US")),
+      apr: tag(block, "LOANRATE") ?? tag(block, "INTRATE"),
+      min: tag(block, "MINPMTDUE") ?? tag(block, "PMTAMT"),
     };
-    plan.push(row);
+    return { line: i + 1, ...validateDebt(fields, { locale: "en-US" }) }; // OFX amounts use a decimal point
+  });
+}
 
-    monthIndex++;
-    if (totalRemain <= 0.01) break;
+function makeBackup(doc) {
+  return { app: "debt-payoff-coach", version: BACKUP_VERSION, schemaVersion: doc.schemaVersion, exportedAt: new Date().toISOString(), state: doc.household, scenarios: doc.scenarios };
+}
+
+// Parses a JSON backup into a current‑schema document; every invalid debt or payment is reported as "<where>: <problem>"
+function readBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { backup: null, errors: ["Not valid JSON"] };
   }
+  if (data?.app !== "debt-payoff-coach" || !data.state) return { backup: null, errors: ["Not a Debt‑Payoff Coach backup"] };
+  if (!(data.version <= BACKUP_VERSION)) return { backup: null, errors: [`Backup version ${data.version} is newer than this app supports (${BACKUP_VERSION})`] };
+  if ((data.schemaVersion ?? 1) > SCHEMA_VERSION) return { backup: null, errors: [`Backup uses schema v${data.schemaVersion}; this app only knows up to v${SCHEMA_VERSION}`] };
 
-  const totalInterest = timeline.reduce((s, t) => s + t.interestPaid, 0);
+  const errors = [];
+  const debts = Array.isArray(data.state.debts) ? data.state.debts : [];
+  if (!debts.length) errors.push("Backup has no debts");
+  debts.forEach((d, i) => validateDebt(d, { strict: false }).errors.forEach((e) => errors.push(`Debt ${i + 1} (${d.name || "unnamed"}): ${e}`)));
+  const ids = new Set(debts.map((d) => d.id));
+  (data.state.payments || []).forEach((p, i) => {
+    if (!ids.has(p.debtId)) errors.push(`Payment ${i + 1}: unknown debt`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(p.date || "")) errors.push(`Payment ${i + 1}: date "${p.date}" is not YYYY-MM-DD`);
+    if (!(parseNumber(p.amount) > 0)) errors.push(`Payment ${i + 1}: amount must be a positive number`);
+  });
+  if (data.scenarios != null && !Array.isArray(data.scenarios)) errors.push("Scenarios must be a list");
+  if (errors.length) return { backup: data, errors };
 
-  return { months: monthIndex, totalStart, timeline, totalInterest, payoff, plan };
+  const doc = migrateDocument({ schemaVersion: data.schemaVersion ?? 1, household: data.state, scenarios: data.scenarios || [] });
+  return { backup: data, doc, errors: validateDocument(doc) };
 }
 
-function onlyMinimumsPlan(debts) {
-  // simulate with zero extra to calculate baseline interest and timeline
-  return simulatePlan(debts, 0, "avalanche");
+function LedgerTable({ ledger, fmt }) {
+  if (!ledger?.length) return <div className="text-xs text-slate-400">No payments scheduled.</div>;
+  return (
+    <div className="max-h-64 overflow-auto rounded-xl border bg-slate-50">
+      <table className="w-full text-xs">
+        <thead className="sticky top-0 bg-slate-100">
+          <tr className="text-left text-slate-500">
+            <th className="py-1 px-2">Month</th>
+            <th>APR</th>
+            <th>Opening</th>
+            <th>Interest</th>
+            <th>Minimum</th>
+            <th>Extra</th>
+            <th>Closing</th>
+          </tr>
+        </thead>
+        <tbody>
+          {ledger.map((r) => (
+            <tr key={r.monthIndex} className="border-t">
+              <td className="py-1 px-2">{fmt.month(r.date)}</td>
+              <td>{r.apr.toFixed(2)}%</td>
+              <td>{fmt.money(r.opening)}</td>
+              <td>{fmt.money(r.interest)}</td>
+              <td>{fmt.money(r.minimum)}</td>
+              <td>{fmt.money(r.extra)}</td>
+              <td>{fmt.money(r.closing)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
 }
 
 function Stat({ icon: Icon, label, value, sub }) {
@@ -187,68 +685,384 @@ function Card({ title, children, right }) {
 }
 
 export default function App() {
-  const [state, setState] = usePersistentState({
-    debts: exampleDebts,
-    income: 5200,
-    extra: 400,
-    strategy: "avalanche", // or "snowball"
-    whatIfExtra: 400,
-  });
+  const [openLedger, setOpenLedger] = useState(null);
+  const [openDebt, setOpenDebt] = useState(null);
+  const [paymentDraft, setPaymentDraft] = useState(() => ({ ...EMPTY_PAYMENT, date: formatDay(new Date()) }));
+  const [goal, setGoal] = useState({ targetMonth: "", budget: "" });
+  const [dragId, setDragId] = useState(null);
+  const [scenarioName, setScenarioName] = useState("");
+  const [importing, setImporting] = useState(null); // { kind: "csv" | "ofx" | "backup", fileName, ... } while reviewing
+  const [consolidation, setConsolidation] = useState({ ids: [], apr: 11.99, termMonths: 48, feePct: 3 });
+  const [activeScenarioId, setActiveScenarioId] = useState(null); // null = the household's real data
+  const [newProfileName, setNewProfileName] = useState("");
+  const store = useStore();
+  const { household, scenarios } = store.doc;
+  const setHousehold = (update) => store.setDoc((doc) => ({ ...doc, household: typeof update === "function" ? update(doc.household) : update }));
+  const setScenarios = (update) => store.setDoc((doc) => ({ ...doc, scenarios: typeof update === "function" ? update(doc.scenarios) : update }));
+
+  // The editor works on the real data, or on the open scenario's copy of the plan inputs
+  const activeScenario = scenarios.find((sc) => sc.id === activeScenarioId) || null;
+  const state = useMemo(
+    () => (activeScenario ? { ...household, ...pick(activeScenario, SCENARIO_FIELDS) } : household),
+    [household, activeScenario]
+  );
+  const setState = (update) => {
+    if (!activeScenario) return setHousehold(update);
+    const next = typeof update === "function" ? update(state) : update;
+    setHousehold((h) => ({ ...h, ...omit(next, SCENARIO_FIELDS) }));
+    setScenarios((list) => list.map((sc) => (sc.id === activeScenario.id ? { ...sc, ...pick(next, SCENARIO_FIELDS) } : sc)));
+  };
+
+  // locale/currency: the plan runs on debts and payments converted to the home currency
+  const { settings } = household;
+  const fmt = useMemo(() => makeFormat(settings), [settings]);
+  const { money: currency, pct } = fmt;
+  const planDebts = useMemo(() => state.debts.map((d) => debtInHome(d, settings)), [state.debts, settings]);
+  const planPayments = useMemo(() => paymentsInHome(state.payments, state.debts, settings), [state.payments, state.debts, settings]);
+  const ratesNeeded = useMemo(() => missingRates(state.debts, settings), [state.debts, settings]);
+  const foreignCurrencies = [...new Set(state.debts.map((d) => d.currency).filter((c) => c && c !== settings.currency))];
+
+  const planStart = useMemo(() => parseDay(state.planStart), [state.planStart]);
+  const totalMinimum = useMemo(() => planDebts.reduce((s, d) => s + currentMinimum(d), 0), [planDebts]);
+  const budgetTotals = useMemo(() => budgetSummary(state.budget, totalMinimum), [state.budget, totalMinimum]);
+  const baseline = useMemo(() => onlyMinimumsPlan(planDebts, state.accrual, planStart), [planDebts, state.accrual, planStart]);
+  const planOptions = useMemo(
+    () => ({ customOrder: state.customOrder, hybridThreshold: state.hybridThreshold, windfalls: state.windfalls, extraChanges: state.extraChanges, accrual: state.accrual }),
+    [state.customOrder, state.hybridThreshold, state.windfalls, state.extraChanges, state.accrual]
+  );
+  const plan = useMemo(
+    () => simulatePlan(planDebts, state.whatIfExtra, state.strategy, planStart, { ...planOptions, income: budgetTotals.income }),
+    [planDebts, state.whatIfExtra, state.strategy, planStart, planOptions, budgetTotals.income]
+  );
+  const { diagnostics } = plan;
+  const growingById = useMemo(() => new Map(diagnostics.growing.map((g) => [g.id, g])), [diagnostics.growing]);
+  // Debt row messages; "required" ones wait until that field has been left once or the row has a balance
+  const [touchedFields, setTouchedFields] = useState({}); // "<debtId>.<field>" -> true
+  const touchField = (id, key) => setTouchedFields((t) => (t[`${id}.${key}`] ? t : { ...t, [`${id}.${key}`]: true }));
+  const debtErrors = useMemo(() => new Map(state.debts.map((d) => {
+    const { errors, missing } = validateDebt(d);
+    const waiting = +d.balance > 0 ? [] : missing.filter((m) => !touchedFields[`${d.id}.${m.key}`]).map((m) => m.error);
+    return [d.id, errors.filter((e) => !waiting.includes(e))];
+  })), [state.debts, touchedFields]);
+  const minExtraNeeded = useMemo(
+    () => (diagnostics.complete ? null : minExtraToFinish(planDebts, state.strategy, planStart, planOptions)),
+    [diagnostics.complete, planDebts, state.strategy, planStart, planOptions]
+  );
+  const payoffById = useMemo(() => new Map(plan.payoff.map((p) => [p.id, p])), [plan.payoff]);
+
+  // actuals: balances from the payment log, and the plan re‑run from those balances as of today
+  const currentDebts = useMemo(() => actualBalances(planDebts, planPayments), [planDebts, planPayments]);
+  const rebaseline = useMemo(
+    () => simulatePlan(currentDebts, state.whatIfExtra, state.strategy, new Date(), planOptions),
+    [currentDebts, state.whatIfExtra, state.strategy, planOptions]
+  );
+  const elapsedMonths = monthsBetween(planStart, new Date());
+
+  // goal solver works forward from today's real balances
+  const targetSolution = useMemo(() => {
+    if (!goal.targetMonth) return undefined;
+    return solveExtraForTarget(currentDebts, monthsBetween(new Date(), parseDay(`${goal.targetMonth}-01`)), state.strategy, new Date(), planOptions);
+  }, [goal.targetMonth, currentDebts, state.strategy, planOptions]);
+  const budgetSolution = useMemo(
+    () => (goal.budget === "" ? undefined : solveForBudget(currentDebts, +goal.budget, new Date(), planOptions)),
+    [goal.budget, currentDebts, planOptions]
+  );
+  const applySolution = (sol) => setState({ ...state, extra: sol.extra, whatIfExtra: sol.extra, strategy: sol.strategy });
+  const strategyLabel = (id) => STRATEGIES.find((s) => s.id === id)?.label || id;
+
+  // every strategy on the same inputs, for the comparison card
+  const strategyRuns = useMemo(
+    () => STRATEGIES.map((s) => {
+      const run = simulatePlan(planDebts, state.whatIfExtra, s.id, planStart, planOptions);
+      const first = run.payoff.filter((p) => p.payoffDate).sort((a, b) => a.payoffDate - b.payoffDate)[0];
+      return { ...s, months: run.months, complete: run.diagnostics.complete, totalInterest: run.totalInterest, first };
+    }),
+    [planDebts, state.whatIfExtra, planStart, planOptions]
+  );
 
-  const totalMinimum = useMemo(() => state.debts.reduce((s, d) => s + (+d.min || 0), 0), [state.debts]);
-  const baseline = useMemo(() => onlyMinimumsPlan(state.debts), [state.debts]);
-  const plan = useMemo(() => simulatePlan(state.debts, state.whatIfExtra, state.strategy), [state.debts, state.whatIfExtra, state.strategy]);
+  // custom priority: saved order first, then any debts not placed yet
+  const customOrder = useMemo(() => {
+    const ids = state.debts.map((d) => d.id);
+    const saved = (state.customOrder || []).filter((id) => ids.includes(id));
+    return [...saved, ...ids.filter((id) => !saved.includes(id))];
+  }, [state.debts, state.customOrder]);
+  const dropOn = (targetId) => {
+    if (!dragId || dragId === targetId) return;
+    const order = customOrder.filter((id) => id !== dragId);
+    order.splice(order.indexOf(targetId), 0, dragId);
+    setState((s) => ({ ...s, customOrder: order }));
+    setDragId(null);
+  };
 
-  const totalPrincipal = state.debts.reduce((s, d) => s + (+d.balance || 0), 0);
-  const paidPrincipal = totalPrincipal - (plan.timeline.at(-1)?.totalBalance ?? totalPrincipal);
+  const totalPrincipal = planDebts.reduce((s, d) => s + startBalance(d), 0);
+  const currentPrincipal = currentDebts.reduce((s, d) => s + d.balance, 0);
+  const paidPrincipal = Math.max(0, totalPrincipal - currentPrincipal);
   const progress = totalPrincipal ? clamp(paidPrincipal / totalPrincipal, 0, 1) : 0;
 
   const interestSaved = Math.max(0, baseline.totalInterest - plan.totalInterest);
-  const payoffDate = monthAdd(new Date(), plan.months);
+  const payoffDate = debtFreeDate(plan, planStart);
 
   const milestones = [0.25, 0.5, 0.75, 1].map((m) => ({ label: `${pct(m, 0)} paid`, hit: progress >= m }));
 
-  // gamified streak: consecutive months with extra >= 1% of principal
-  const streak = useMemo(() => {
-    const threshold = Math.max(25, totalPrincipal * 0.01);
-    let s = 0;
-    for (let i = 0; i < plan.plan.length; i++) {
-      const extraThisMonth = plan.plan[i].payments.reduce((sum, p, idx) => sum + p - (state.debts[idx]?.min || 0), 0);
-      if (extraThisMonth >= threshold) s += 1; else s = 0;
+  // gamified streak: consecutive months of logged payments with extra >= 1% of principal
+  const streak = useMemo(
+    () => paymentStreak(planDebts, planPayments, Math.max(25, totalPrincipal * 0.01)),
+    [planDebts, planPayments, totalPrincipal]
+  );
+
+  // Payoff Timeline: plan from the start date, actual month‑end balances so far, then the re‑baselined projection
+  const timelineData = useMemo(() => {
+    const rows = new Map();
+    const at = (month) => {
+      if (!rows.has(month)) rows.set(month, { month });
+      return rows.get(month);
+    };
+    at(0).balance = totalPrincipal;
+    plan.timeline.forEach((t) => { at(t.monthIndex + 1).balance = t.totalBalance; });
+    if (state.payments.length) {
+      for (let m = 0; m <= elapsedMonths; m++) {
+        const asOf = m === elapsedMonths ? new Date() : new Date(planStart.getFullYear(), planStart.getMonth() + m + 1, 0);
+        at(m).actual = actualBalances(planDebts, planPayments, asOf).reduce((s, d) => s + d.balance, 0);
+      }
+      at(elapsedMonths).projected = currentPrincipal;
+      rebaseline.timeline.forEach((t) => { at(elapsedMonths + t.monthIndex + 1).projected = t.totalBalance; });
+    }
+    return [...rows.values()].sort((a, b) => a.month - b.month);
+  }, [plan.timeline, rebaseline.timeline, planDebts, planPayments, planStart, elapsedMonths, totalPrincipal, currentPrincipal]);
+
+  // windfalls and changes to the recurring extra, marked on the monthly charts
+  const scheduleMarkers = useMemo(() => {
+    const marks = [];
+    plan.timeline.forEach((t, i) => {
+      const prevExtra = i ? plan.timeline[i - 1].extra : state.whatIfExtra;
+      if (t.windfall > 0) marks.push({ month: t.monthIndex + 1, kind: "windfall", label: `+${currency(t.windfall)}` });
+      if (t.extra !== prevExtra) marks.push({ month: t.monthIndex + 1, kind: "change", label: `extra ${currency(t.extra)}` });
+    });
+    return marks;
+  }, [plan.timeline, state.whatIfExtra, currency]);
+  const markerLines = scheduleMarkers.map((m, i) => (
+    <ReferenceLine key={i} x={m.month} stroke={m.kind === "windfall" ? "#f59e0b" : "#64748b"} strokeDasharray={m.kind === "windfall" ? undefined : "4 4"}
+                   label={{ value: m.label, position: "insideTopRight", fontSize: 10, fill: m.kind === "windfall" ? "#b45309" : "#475569" }} />
+  ));
+
+  const readImportFile = async (file) => {
+    if (!file) return;
+    const text = await file.text();
+    if (/\.json$/i.test(file.name) || text.trim().startsWith("{")) {
+      setImporting({ kind: "backup", fileName: file.name, ...readBackup(text) });
+    } else if (/\.(ofx|qfx)$/i.test(file.name) || /OFXHEADER|<OFX>/i.test(text)) {
+      setImporting({ kind: "ofx", fileName: file.name, results: debtsFromOFX(text) });
+    } else {
+      const rows = parseCSV(text);
+      setImporting({ kind: "csv", fileName: file.name, rows, hasHeader: true, mapping: guessMapping(rows[0] || []) });
     }
-    return s;
-  }, [plan.plan, state.debts, totalPrincipal]);
+  };
+  const importResults = importing?.kind === "csv"
+    ? debtsFromCSV(importing.rows, importing.mapping, importing.hasHeader, settings.locale)
+    : importing?.kind === "ofx" ? importing.results : [];
+  const addImportedDebts = () => {
+    const valid = importResults.filter((r) => !r.errors.length).map((r) => ({ ...r.debt, id: crypto.randomUUID() }));
+    // imported debts replace the blank row a fresh/reset plan starts with
+    setState((s) => ({ ...s, debts: [...s.debts.filter((d) => d.name || +d.balance), ...valid] }));
+    setImporting(null);
+  };
+  const restoreBackup = () => {
+    setActiveScenarioId(null);
+    store.setDoc(importing.doc); // undoable like any other edit
+    setImporting(null);
+  };
+  const exportBackup = () => downloadFile(`debt-coach-backup-${formatDay(new Date())}.json`, "application/json", JSON.stringify(makeBackup(store.doc), null, 2));
+
+  const switchProfile = (id) => {
+    setActiveScenarioId(null);
+    store.switchProfile(id);
+  };
+  const createProfile = () => {
+    setActiveScenarioId(null);
+    store.createProfile(newProfileName.trim());
+    setNewProfileName("");
+  };
+  const deleteProfile = (id) => {
+    const name = store.profiles.find((p) => p.id === id)?.name;
+    if (window.confirm(`Delete profile “${name}” and all of its data? This can't be undone.`)) {
+      if (id === store.activeProfileId) setActiveScenarioId(null);
+      store.deleteProfile(id);
+    }
+  };
+
+  // Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y) outside text fields, which keep their own undo
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) store.undo();
+      else if ((key === "z" && e.shiftKey) || key === "y") store.redo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [store.undo, store.redo]);
+
+  const exportCSV = () => downloadFile(`debt-schedule-${formatDay(new Date())}.csv`, "text/csv", scheduleCSV(plan, planDebts, fmt));
+  const exportICS = () => downloadFile("debt-payments.ics", "text/calendar", scheduleICS(plan, planDebts, fmt));
+  const printReport = () => {
+    const w = window.open("", "_blank");
+    if (!w) return;
+    w.document.write(printableReport({
+      plan,
+      debts: planDebts,
+      fmt,
+      title: activeScenario ? `Debt‑Payoff Plan — ${activeScenario.name}` : "Debt‑Payoff Plan",
+      kpis: [
+        { label: "Debt‑free", value: diagnostics.complete ? `${fmt.month(payoffDate)} (${plan.months} months)` : "Not within 50 years" },
+        { label: "Total interest (plan)", value: currency(plan.totalInterest) },
+        { label: "Interest saved vs. minimums", value: currency(interestSaved) },
+        { label: "Strategy", value: strategyLabel(state.strategy) },
+        { label: "Minimums / mo", value: currency(totalMinimum) },
+        { label: "Monthly budget (minimums + extra)", value: currency(totalMinimum + (+state.whatIfExtra || 0)) },
+        { label: "Progress", value: `${pct(progress, 0)} — ${currency(paidPrincipal)} paid of ${currency(totalPrincipal)}` },
+      ],
+    }));
+    w.document.close();
+    w.focus();
+    w.print();
+  };
+
+  const resetAll = () => {
+    const blank = blankHousehold();
+    // Reset is a single undo step; inside a scenario, Reset only clears the scenario's plan inputs
+    setState(activeScenario ? { ...state, ...pick(blank, SCENARIO_FIELDS) } : blank);
+  };
 
-  const resetAll = () => setState({ debts: [structuredClone(EMPTY_DEBT)], income: 0, extra: 0, whatIfExtra: 0, strategy: "avalanche" });
+  const forkScenario = () => {
+    const sc = {
+      ...structuredClone(pick(state, SCENARIO_FIELDS)),
+      id: crypto.randomUUID(),
+      name: scenarioName.trim() || `Scenario ${scenarios.length + 1}`,
+      createdAt: formatDay(new Date()),
+      compare: true,
+    };
+    setScenarios((list) => [...list, sc]);
+    setScenarioName("");
+    setActiveScenarioId(sc.id);
+  };
+  const updateScenario = (id, patch) => setScenarios((list) => list.map((sc) => (sc.id === id ? { ...sc, ...patch } : sc)));
+  const removeScenario = (id) => {
+    setScenarios((list) => list.filter((sc) => sc.id !== id));
+    if (activeScenarioId === id) setActiveScenarioId(null);
+  };
+
+  const consolidationResult = useMemo(
+    () => (consolidation.ids.length
+      ? analyzeConsolidation(planDebts, consolidation.ids, consolidation, state.whatIfExtra, state.strategy, planStart, planOptions)
+      : null),
+    [consolidation, planDebts, state.whatIfExtra, state.strategy, planStart, planOptions]
+  );
+  const toggleConsolidate = (id) => setConsolidation((c) => ({ ...c, ids: c.ids.includes(id) ? c.ids.filter((x) => x !== id) : [...c.ids, id] }));
+  const adoptConsolidation = () => {
+    // the scenario's debts (and the new loan) are in the home currency
+    const { debts } = consolidateDebts(planDebts, consolidation.ids, consolidation);
+    const sc = {
+      ...structuredClone(pick(state, SCENARIO_FIELDS)),
+      debts,
+      id: crypto.randomUUID(),
+      name: `Consolidation @ ${consolidation.apr}% / ${consolidation.termMonths} mo`,
+      createdAt: formatDay(new Date()),
+      compare: true,
+    };
+    setScenarios((list) => [...list, sc]);
+  };
+
+  // side‑by‑side runs: the real plan plus every scenario ticked for comparison
+  const scenarioRuns = useMemo(() => {
+    const entries = [{ ...household, id: "real", name: "Real plan" }, ...scenarios.filter((sc) => sc.compare)];
+    return entries.map((sc, i) => {
+      const debts = sc.debts.map((d) => debtInHome(d, settings));
+      const run = simulatePlan(debts, sc.whatIfExtra, sc.strategy, planStart, pick(sc, ["customOrder", "hybridThreshold", "windfalls", "extraChanges", "accrual"]));
+      return {
+        id: sc.id,
+        name: sc.name,
+        color: SERIES_COLORS[i % SERIES_COLORS.length],
+        run,
+        payoffDate: debtFreeDate(run, planStart),
+        budget: debts.reduce((s, d) => s + currentMinimum(d), 0) + (+sc.whatIfExtra || 0),
+      };
+    });
+  }, [household, scenarios, planStart, settings]);
+  const scenarioChart = useMemo(() => {
+    const rows = new Map();
+    scenarioRuns.forEach(({ id, run }) => {
+      [{ month: 0, balance: run.totalStart || 0 }, ...run.timeline.map((t) => ({ month: t.monthIndex + 1, balance: t.totalBalance }))].forEach(({ month, balance }) => {
+        if (!rows.has(month)) rows.set(month, { month });
+        rows.get(month)[id] = balance;
+      });
+    });
+    return [...rows.values()].sort((a, b) => a.month - b.month);
+  }, [scenarioRuns]);
 
   useEffect(() => {
-    if (!state.debts.length) setState((s) => ({ ...s, debts: [structuredClone(EMPTY_DEBT)] }));
+    if (!state.debts.length) setState((s) => ({ ...s, debts: [{ ...structuredClone(EMPTY_DEBT), id: crypto.randomUUID() }] }));
   }, [state.debts, setState]);
 
   const addDebt = () => setState((s) => ({ ...s, debts: [...s.debts, { ...structuredClone(EMPTY_DEBT), id: crypto.randomUUID() }] }));
-  const removeDebt = (id) => setState((s) => ({ ...s, debts: s.debts.filter((d) => d.id !== id) }));
+  const removeDebt = (id) => setState((s) => ({
+    ...s,
+    debts: s.debts.filter((d) => d.id !== id),
+    payments: s.payments.filter((p) => p.debtId !== id),
+    windfalls: (s.windfalls || []).map((w) => (w.debtId === id ? { ...w, debtId: "" } : w)),
+  }));
   const updateDebt = (id, patch) => setState((s) => ({ ...s, debts: s.debts.map((d) => (d.id === id ? { ...d, ...patch } : d)) }));
 
-  // Ensure IDs exist
-  useEffect(() => {
-    setState((s) => ({
-      ...s,
-      debts: s.debts.map((d) => ({ ...d, id: d.id || crypto.randomUUID() })),
-    }));
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, []);
+  const logPayment = () => {
+    const debtId = paymentDraft.debtId || state.debts[0]?.id;
+    if (!debtId || !paymentDraft.date || !(paymentDraft.amount > 0)) return;
+    setState((s) => ({ ...s, payments: [...s.payments, { ...paymentDraft, debtId, id: crypto.randomUUID() }] }));
+    setPaymentDraft((p) => ({ ...EMPTY_PAYMENT, debtId: p.debtId, date: p.date }));
+  };
+  // cash‑flow schedule rows ("windfalls" | "extraChanges")
+  const addScheduleRow = (key, empty) => setState((s) => ({ ...s, [key]: [...(s[key] || []), { ...empty, id: crypto.randomUUID(), [key === "windfalls" ? "month" : "from"]: formatMonth(monthAdd(new Date(), 1)) }] }));
+  const updateScheduleRow = (key, id, patch) => setState((s) => ({ ...s, [key]: s[key].map((r) => (r.id === id ? { ...r, ...patch } : r)) }));
+  const removeScheduleRow = (key, id) => setState((s) => ({ ...s, [key]: s[key].filter((r) => r.id !== id) }));
+  // budget lines: key is "incomeSources" or "expenses"
+  const updateBudget = (patch) => setState((s) => ({ ...s, budget: { ...s.budget, ...patch } }));
+  const addBudgetRow = (key, empty) => setState((s) => ({ ...s, budget: { ...s.budget, [key]: [...s.budget[key], { ...empty, id: crypto.randomUUID() }] } }));
+  const updateBudgetRow = (key, id, patch) => setState((s) => ({ ...s, budget: { ...s.budget, [key]: s.budget[key].map((r) => (r.id === id ? { ...r, ...patch } : r)) } }));
+  const removeBudgetRow = (key, id) => setState((s) => ({ ...s, budget: { ...s.budget, [key]: s.budget[key].filter((r) => r.id !== id) } }));
+
+  const removePayment = (id) => setState((s) => ({ ...s, payments: s.payments.filter((p) => p.id !== id) }));
+  const debtName = (id) => state.debts.find((d) => d.id === id)?.name || "(unnamed)";
+  const debtCurrency = (id) => state.debts.find((d) => d.id === id)?.currency || settings.currency;
+  const updateSettings = (patch) => setState((s) => ({ ...s, settings: { ...s.settings, ...patch } }));
 
   const monthlyBudget = totalMinimum + (state.extra || 0);
 
+  if (!store.ready) return <div className="min-h-dvh grid place-items-center text-sm text-slate-500">Loading your plan…</div>;
+
   return (
     <div className="min-h-dvh bg-slate-50">
       <header className="px-6 py-4 flex items-center justify-between border-b bg-white sticky top-0 z-10">
         <div className="flex items-center gap-2">
           <Sparkles className="w-5 h-5" />
           <h1 className="text-lg font-semibold">Debt‑Payoff Coach</h1>
+          {activeScenario && (
+            <span className="ml-2 px-2 py-1 rounded-lg bg-amber-100 text-amber-900 text-xs flex items-center gap-1">
+              <GitBranch className="w-3 h-3"/> Editing scenario “{activeScenario.name}”
+              <button className="underline ml-1" onClick={() => setActiveScenarioId(null)}>back to real data</button>
+            </span>
+          )}
         </div>
         <div className="flex items-center gap-2 text-sm">
-          <button className="px-3 py-2 rounded-xl border bg-white hover:bg-slate-50 flex items-center gap-2" onClick={() => localStorage.setItem(STORAGE_KEY, JSON.stringify(state))}>
+          <select className="px-3 py-2 rounded-xl border bg-white" value={store.activeProfileId || ""} onChange={(e) => switchProfile(e.target.value)} title="Profile">
+            {store.profiles.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+          <button className="px-3 py-2 rounded-xl border bg-white hover:bg-slate-50 flex items-center gap-2 disabled:opacity-40" disabled={!store.canUndo} onClick={store.undo} title="Undo (Ctrl+Z)">
+            <Undo2 className="w-4 h-4"/> Undo
+          </button>
+          <button className="px-3 py-2 rounded-xl border bg-white hover:bg-slate-50 flex items-center gap-2 disabled:opacity-40" disabled={!store.canRedo} onClick={store.redo} title="Redo (Ctrl+Shift+Z)">
+            <Redo2 className="w-4 h-4"/> Redo
+          </button>
+          <button className="px-3 py-2 rounded-xl border bg-white hover:bg-slate-50 flex items-center gap-2" onClick={store.save}>
             <Save className="w-4 h-4"/> Save
           </button>
           <button className="px-3 py-2 rounded-xl border bg-white hover:bg-slate-50 flex items-center gap-2" onClick={resetAll}>
@@ -257,68 +1071,345 @@ export default function App() {
         </div>
       </header>
 
+      {(store.loadIssue || store.saveError) && (
+        <div className="mx-6 mt-6 rounded-2xl p-4 bg-rose-50 border border-rose-200 text-sm text-rose-900 space-y-1">
+          {store.loadIssue && (
+            <>
+              {store.loadIssue.indexErrors?.length > 0 && (
+                <>
+                  <div className="flex items-center gap-2 font-semibold"><AlertTriangle className="w-4 h-4"/> Your list of profiles couldn't be loaded</div>
+                  {store.loadIssue.indexErrors.map((e, i) => <div key={i} className="text-xs">{e}</div>)}
+                </>
+              )}
+              {store.loadIssue.errors.length > 0 && (
+                <>
+                  <div className="flex items-center gap-2 font-semibold"><AlertTriangle className="w-4 h-4"/> Your saved data for this profile couldn't be loaded</div>
+                  {store.loadIssue.errors.map((e, i) => <div key={i} className="text-xs">{e}</div>)}
+                  {store.loadIssue.recoveredKey && <div className="text-xs">The original was kept as “{store.loadIssue.recoveredKey}” in {store.backend}. You're looking at a fresh example plan.</div>}
+                </>
+              )}
+              <button className="underline text-xs" onClick={store.dismissLoadIssue}>Dismiss</button>
+            </>
+          )}
+          {store.saveError && <div className="flex items-center gap-2"><AlertTriangle className="w-4 h-4"/> Saving failed: {store.saveError}</div>}
+        </div>
+      )}
+
       <main className="p-6 grid gap-6 lg:grid-cols-3">
         {/* LEFT: Inputs */}
         <section className="lg:col-span-1 space-y-6">
+          <Card title="Profiles" right={<div className="text-xs text-slate-500">One per household</div>}>
+            <div className="space-y-2 text-sm">
+              {store.profiles.map((p) => (
+                <div key={p.id} className="flex items-center gap-2">
+                  <input type="radio" checked={p.id === store.activeProfileId} onChange={() => switchProfile(p.id)} title="Switch to this profile" />
+                  <input className="flex-1 rounded-lg border px-2 py-1" value={p.name} onChange={(e) => store.renameProfile(p.id, e.target.value)} />
+                  <button onClick={() => deleteProfile(p.id)} disabled={store.profiles.length < 2} className="p-1 rounded-lg border bg-white hover:bg-slate-50 disabled:opacity-40" title="Delete profile"><Trash2 className="w-3 h-3"/></button>
+                </div>
+              ))}
+              <div className="flex gap-2">
+                <input className="flex-1 rounded-xl border p-2" placeholder="New profile name" value={newProfileName} onChange={(e) => setNewProfileName(e.target.value)} />
+                <button onClick={createProfile} className="px-3 py-2 rounded-xl border bg-white hover:bg-slate-50 flex items-center gap-2">
+                  <Users className="w-4 h-4"/> Add
+                </button>
+              </div>
+            </div>
+          </Card>
+
+          <Card title="Settings" right={<div className="text-xs text-slate-500">Locale & currency</div>}>
+            <div className="space-y-3 text-sm">
+              <div className="grid grid-cols-2 gap-3">
+                <label className="text-xs text-slate-500">Locale
+                  <select className="mt-1 w-full rounded-xl border p-2 bg-white" value={settings.locale}
+                          onChange={(e) => updateSettings({ locale: e.target.value })}>
+                    {LOCALES.map((l) => <option key={l} value={l}>{l || "Browser default"}</option>)}
+                  </select>
+                </label>
+                <label className="text-xs text-slate-500">Home currency
+                  <select className="mt-1 w-full rounded-xl border p-2 bg-white" value={settings.currency}
+                          onChange={(e) => updateSettings({ currency: e.target.value })}>
+                    {CURRENCIES.map((c) => <option key={c} value={c}>{c}</option>)}
+                  </select>
+                </label>
+              </div>
+              <div className="text-xs text-slate-400">Example: {currency(1234.5)} · {fmt.day(new Date())} · {pct(0.1234, 1)}. Budget, extra and goals are in {settings.currency}.</div>
+              {fmt.problems.length > 0 && (
+                <div className="flex items-center gap-2 text-xs text-amber-700">
+                  <AlertTriangle className="w-3 h-3"/> {fmt.problems.join(" · ")} — pick one from the list.
+                </div>
+              )}
+              {foreignCurrencies.length > 0 && (
+                <div className="space-y-2">
+                  <div className="text-xs text-slate-500">Exchange rates (value of 1 unit in {settings.currency})</div>
+                  {foreignCurrencies.map((c) => (
+                    <label key={c} className="flex items-center gap-2">
+                      <span className="w-20 text-slate-600">1 {c} =</span>
+                      <input type="number" step="0.0001" min={0} className="flex-1 rounded-xl border p-2" value={settings.rates[c] ?? ""}
+                             onChange={(e) => updateSettings({ rates: { ...settings.rates, [c]: e.target.value === "" ? "" : +e.target.value } })} />
+                      <span className="text-slate-600">{settings.currency}</span>
+                    </label>
+                  ))}
+                  {ratesNeeded.length > 0 && (
+                    <div className="flex items-center gap-2 text-xs text-amber-700">
+                      <AlertTriangle className="w-3 h-3"/> No rate for {ratesNeeded.join(", ")} yet — those debts count 1:1 until you enter one.
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          </Card>
+
           <Card title="Your Details" right={
-            <div className="text-xs text-slate-500">Autosaves locally</div>
+            <div className="text-xs text-slate-500">Autosaves to {store.backend}</div>
           }>
             <div className="grid grid-cols-2 gap-3">
-              <label className="text-xs text-slate-500">Monthly Income
-                <input type="number" className="mt-1 w-full rounded-xl border p-2" value={state.income}
-                  onChange={(e) => setState({ ...state, income: +e.target.value })} />
-              </label>
               <label className="text-xs text-slate-500">Extra Toward Debt (base)
                 <input type="number" className="mt-1 w-full rounded-xl border p-2" value={state.extra}
                   onChange={(e) => setState({ ...state, extra: +e.target.value, whatIfExtra: +e.target.value })} />
               </label>
+              <div className="text-xs text-slate-500">Budget surplus
+                <div className="mt-1 flex items-center gap-2">
+                  <span className={`p-2 font-semibold ${budgetTotals.surplus < 0 ? "text-rose-600" : "text-slate-800"}`}>{currency(budgetTotals.surplus)}</span>
+                  {budgetTotals.income > 0 && budgetTotals.suggestedExtra !== state.extra && (
+                    <button className="px-2 py-1 rounded-lg border bg-white hover:bg-slate-50"
+                            onClick={() => setState({ ...state, extra: budgetTotals.suggestedExtra, whatIfExtra: budgetTotals.suggestedExtra })}>
+                      Use {currency(budgetTotals.suggestedExtra)}
+                    </button>
+                  )}
+                </div>
+              </div>
+              <label className="text-xs text-slate-500 col-span-2">Interest accrual
+                <select className="mt-1 w-full rounded-xl border p-2 bg-white" value={state.accrual || "monthly"}
+                        onChange={(e) => setState({ ...state, accrual: e.target.value })}>
+                  {ACCRUAL_MODES.map((m) => <option key={m.id} value={m.id}>{m.label}</option>)}
+                </select>
+              </label>
               <label className="text-xs text-slate-500 col-span-2">Strategy</label>
-              <div className="col-span-2 flex gap-2">
-                {[
-                  { id: "avalanche", label: "Avalanche (highest APR)" },
-                  { id: "snowball", label: "Snowball (smallest balance)" },
-                ].map((s) => (
+              <div className="col-span-2 flex flex-wrap gap-2">
+                {STRATEGIES.map((s) => (
                   <button key={s.id} onClick={() => setState({ ...state, strategy: s.id })}
                           className={`px-3 py-2 rounded-xl border ${state.strategy === s.id ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50"}`}>
                     {s.label}
                   </button>
                 ))}
               </div>
+              {state.strategy === "hybrid" && (
+                <label className="text-xs text-slate-500 col-span-2">Clear balances at or below this first, then highest APR
+                  <input type="number" className="mt-1 w-full rounded-xl border p-2" value={state.hybridThreshold ?? 1000}
+                         onChange={(e) => setState({ ...state, hybridThreshold: +e.target.value })} />
+                </label>
+              )}
+              {state.strategy === "custom" && (
+                <div className="col-span-2 space-y-1">
+                  <div className="text-xs text-slate-500">Drag to set priority (top gets extra first)</div>
+                  {customOrder.map((id, i) => (
+                    <div key={id} draggable onDragStart={() => setDragId(id)} onDragOver={(e) => e.preventDefault()} onDrop={() => dropOn(id)}
+                         className={`px-3 py-2 rounded-xl border bg-white text-sm cursor-move ${dragId === id ? "opacity-50" : ""}`}>
+                      {i + 1}. {debtName(id)}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </Card>
+
+          <Card title="Monthly Budget" right={<div className="text-xs text-slate-500">What's left for debt</div>}>
+            <div className="space-y-4 text-sm">
+              {[
+                { key: "incomeSources", label: "Income sources (take‑home)", empty: EMPTY_INCOME, add: "Add income" },
+                { key: "expenses", label: "Expenses (fixed bills, variable spending)", empty: EMPTY_EXPENSE, add: "Add expense" },
+              ].map(({ key, label, empty, add }) => (
+                <div key={key} className="space-y-2">
+                  <div className="text-xs text-slate-500">{label}</div>
+                  {state.budget[key].map((r) => (
+                    <div key={r.id} className="grid grid-cols-12 gap-2 items-center">
+                      <input className={`${key === "expenses" ? "col-span-5" : "col-span-7"} rounded-xl border p-2`} placeholder="Name" value={r.name}
+                             onChange={(e) => updateBudgetRow(key, r.id, { name: e.target.value })} />
+                      <input type="number" className="col-span-4 rounded-xl border p-2" value={r.amount}
+                             onChange={(e) => updateBudgetRow(key, r.id, { amount: e.target.value === "" ? "" : +e.target.value })} />
+                      {key === "expenses" && (
+                        <select className="col-span-2 rounded-xl border p-1 bg-white text-xs" value={r.kind}
+                                onChange={(e) => updateBudgetRow(key, r.id, { kind: e.target.value })}>
+                          <option value="fixed">Fixed</option>
+                          <option value="variable">Variable</option>
+                        </select>
+                      )}
+                      <button onClick={() => removeBudgetRow(key, r.id)} className="col-span-1 p-2 rounded-lg border bg-white hover:bg-slate-50" title="Remove"><Trash2 className="w-3 h-3"/></button>
+                    </div>
+                  ))}
+                  <button onClick={() => addBudgetRow(key, empty)} className="w-full py-2 rounded-xl border bg-white hover:bg-slate-50 flex items-center justify-center gap-2">
+                    <Plus className="w-4 h-4"/> {add}
+                  </button>
+                </div>
+              ))}
+
+              <div className="grid grid-cols-3 gap-2">
+                <label className="text-xs text-slate-500">Savings / mo
+                  <input type="number" className="mt-1 w-full rounded-xl border p-2" value={state.budget.savingsMonthly}
+                         onChange={(e) => updateBudget({ savingsMonthly: e.target.value === "" ? "" : +e.target.value })} />
+                </label>
+                <label className="text-xs text-slate-500">Emergency fund
+                  <input type="number" className="mt-1 w-full rounded-xl border p-2" value={state.budget.emergencyFundSaved}
+                         onChange={(e) => updateBudget({ emergencyFundSaved: e.target.value === "" ? "" : +e.target.value })} />
+                </label>
+                <label className="text-xs text-slate-500">Goal (months)
+                  <input type="number" min={0} className="mt-1 w-full rounded-xl border p-2" value={state.budget.emergencyFundMonths}
+                         onChange={(e) => updateBudget({ emergencyFundMonths: e.target.value === "" ? "" : +e.target.value })} />
+                </label>
+              </div>
+              {budgetTotals.emergencyMonths != null && (
+                <div className="text-xs text-slate-500">
+                  Emergency fund covers {budgetTotals.emergencyMonths.toFixed(1)} of {state.budget.emergencyFundMonths} months of expenses
+                  {budgetTotals.emergencyGoal > (+state.budget.emergencyFundSaved || 0) && <> — {currency(budgetTotals.emergencyGoal - (+state.budget.emergencyFundSaved || 0))} to go</>}.
+                </div>
+              )}
+
+              <div className="rounded-xl bg-slate-50 p-3 space-y-1">
+                {[
+                  ["Income", budgetTotals.income],
+                  ["Fixed expenses", -budgetTotals.fixed],
+                  ["Variable expenses", -budgetTotals.variable],
+                  ["Savings", -budgetTotals.savings],
+                  ["Debt minimums", -budgetTotals.minimums],
+                ].map(([label, v]) => (
+                  <div key={label} className="flex justify-between"><span className="text-slate-500">{label}</span><span>{currency(v)}</span></div>
+                ))}
+                <div className="flex justify-between border-t pt-1 font-semibold">
+                  <span>Surplus for extra</span>
+                  <span className={budgetTotals.surplus < 0 ? "text-rose-600" : ""}>{currency(budgetTotals.surplus)}</span>
+                </div>
+              </div>
+              {budgetTotals.income > 0 && budgetTotals.surplus < 0 && (
+                <div className="flex items-start gap-2 rounded-xl border border-amber-300 bg-amber-50 p-2 text-amber-900">
+                  <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0"/>
+                  <span>
+                    {budgetTotals.minimums > budgetTotals.income
+                      ? <>Debt minimums ({currency(budgetTotals.minimums)}) exceed your income ({currency(budgetTotals.income)}).</>
+                      : <>Debt minimums ({currency(budgetTotals.minimums)}) exceed what's left after expenses and savings ({currency(budgetTotals.available)}) by {currency(-budgetTotals.surplus)}.</>}
+                  </span>
+                </div>
+              )}
             </div>
           </Card>
 
           <Card title="Debts">
             <div className="space-y-3">
               {state.debts.map((d, idx) => (
-                <div key={d.id} className="grid grid-cols-12 gap-2 items-end bg-slate-50 p-3 rounded-xl border">
+                <div key={d.id} className="bg-slate-50 p-3 rounded-xl border space-y-2">
+                <div className="grid grid-cols-12 gap-2 items-end">
                   <div className="col-span-4">
                     <label className="text-xs text-slate-500">Name
-                      <input className="mt-1 w-full rounded-xl border p-2" value={d.name}
+                      <input className="mt-1 w-full rounded-xl border p-2" value={d.name} onBlur={() => touchField(d.id, "name")}
                              onChange={(e) => updateDebt(d.id, { name: e.target.value })} />
                     </label>
                   </div>
                   <div className="col-span-3">
                     <label className="text-xs text-slate-500">Balance
-                      <input type="number" className="mt-1 w-full rounded-xl border p-2" value={d.balance}
-                             onChange={(e) => updateDebt(d.id, { balance: +e.target.value })} />
+                      <input type="number" className="mt-1 w-full rounded-xl border p-2" value={d.balance} onBlur={() => touchField(d.id, "balance")}
+                             onChange={(e) => updateDebt(d.id, { balance: e.target.value === "" ? "" : +e.target.value })} />
                     </label>
                   </div>
                   <div className="col-span-2">
                     <label className="text-xs text-slate-500">APR %
                       <input type="number" step="0.01" className="mt-1 w-full rounded-xl border p-2" value={d.apr}
-                             onChange={(e) => updateDebt(d.id, { apr: +e.target.value })} />
+                             onChange={(e) => updateDebt(d.id, { apr: e.target.value === "" ? "" : +e.target.value })} />
                     </label>
                   </div>
                   <div className="col-span-2">
-                    <label className="text-xs text-slate-500">Minimum
-                      <input type="number" className="mt-1 w-full rounded-xl border p-2" value={d.min}
-                             onChange={(e) => updateDebt(d.id, { min: +e.target.value })} />
-                    </label>
+                    {d.minRule === "installment" ? (
+                      <label className="text-xs text-slate-500">Payment
+                        <input type="number" disabled className="mt-1 w-full rounded-xl border p-2 bg-slate-100" value={currentMinimum(d).toFixed(2)} />
+                      </label>
+                    ) : (
+                      <label className="text-xs text-slate-500">{(d.minRule || "fixed") === "fixed" ? "Minimum" : "Min floor"}
+                        <input type="number" className="mt-1 w-full rounded-xl border p-2" value={d.min}
+                               onChange={(e) => updateDebt(d.id, { min: e.target.value === "" ? "" : +e.target.value })} />
+                      </label>
+                    )}
                   </div>
-                  <div className="col-span-1 flex justify-end">
+                  <div className="col-span-1 flex flex-col items-end gap-1">
+                    <button onClick={() => setOpenDebt(openDebt === d.id ? null : d.id)} className={`p-2 rounded-lg border ${openDebt === d.id ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50"}`} title="More options"><Settings className="w-4 h-4"/></button>
                     <button onClick={() => removeDebt(d.id)} className="p-2 rounded-lg border bg-white hover:bg-slate-50" title="Remove"><Trash2 className="w-4 h-4"/></button>
                   </div>
                 </div>
+                {debtErrors.get(d.id).length > 0 && (
+                  <div className="text-xs text-rose-600">{debtErrors.get(d.id).join(" · ")}</div>
+                )}
+                {growingById.has(d.id) && (
+                  <div className="flex items-center gap-1 text-xs text-amber-700">
+                    <AlertTriangle className="w-3 h-3"/>
+                    {growingById.get(d.id).minimum < growingById.get(d.id).interest
+                      ? `Minimum is below the ${currency(growingById.get(d.id).interest)} monthly interest — this balance grows.`
+                      : `Balance grows for ${growingById.get(d.id).months} month(s) before extra reaches it.`}
+                  </div>
+                )}
+                {openDebt === d.id && (
+                  <div className="grid grid-cols-3 gap-2">
+                    <label className="text-xs text-slate-500">Due day
+                      <input type="number" min={1} max={31} className="mt-1 w-full rounded-xl border p-2" value={d.dueDay ?? 1}
+                             onChange={(e) => updateDebt(d.id, { dueDay: clamp(Math.round(+e.target.value || 1), 1, 31) })} />
+                    </label>
+                    <label className="text-xs text-slate-500">Statement day
+                      <input type="number" min={1} max={31} className="mt-1 w-full rounded-xl border p-2" placeholder="Due day" value={d.statementDay ?? ""}
+                             onChange={(e) => updateDebt(d.id, { statementDay: e.target.value === "" ? "" : clamp(Math.round(+e.target.value || 1), 1, 31) })} />
+                    </label>
+                    <div className="self-end text-xs text-slate-400 pb-2">Payment due and statement closing days — used for reminders and daily accrual.</div>
+                    <label className="text-xs text-slate-500">Minimum rule
+                      <select className="mt-1 w-full rounded-xl border p-2 bg-white" value={d.minRule || "fixed"}
+                              onChange={(e) => updateDebt(d.id, { minRule: e.target.value })}>
+                        {MIN_RULES.map((r) => <option key={r.id} value={r.id}>{r.label}</option>)}
+                      </select>
+                    </label>
+                    {d.minRule === "percent" && (
+                      <label className="text-xs text-slate-500">% of balance
+                        <input type="number" step="0.1" className="mt-1 w-full rounded-xl border p-2" value={d.minPct ?? 2}
+                               onChange={(e) => updateDebt(d.id, { minPct: e.target.value === "" ? "" : +e.target.value })} />
+                      </label>
+                    )}
+                    {d.minRule === "installment" && (
+                      <label className="text-xs text-slate-500">Months left in term
+                        <input type="number" className="mt-1 w-full rounded-xl border p-2" value={d.termMonths ?? 60}
+                               onChange={(e) => updateDebt(d.id, { termMonths: e.target.value === "" ? "" : +e.target.value })} />
+                      </label>
+                    )}
+                    <div className={`${d.minRule === "percent" || d.minRule === "installment" ? "col-span-1" : "col-span-2"} self-end text-xs text-slate-400 pb-2`}>
+                      {d.minRule === "installment" ? "Payment re‑amortizes the balance over the remaining term." : d.minRule === "interestPlus" ? "Interest plus 1% of principal, at least the floor." : d.minRule === "percent" ? "At least the floor." : "Same amount every month."}
+                    </div>
+                    <label className="text-xs text-slate-500">Promo APR %
+                      <input type="number" step="0.01" className="mt-1 w-full rounded-xl border p-2" value={d.promoApr ?? 0}
+                             onChange={(e) => updateDebt(d.id, { promoApr: e.target.value === "" ? "" : +e.target.value })} />
+                    </label>
+                    <label className="text-xs text-slate-500">Promo ends
+                      <input type="month" className="mt-1 w-full rounded-xl border p-2" value={d.promoUntil ?? ""}
+                             onChange={(e) => updateDebt(d.id, { promoUntil: e.target.value })} />
+                    </label>
+                    <label className="text-xs text-slate-500">Transfer fee %
+                      <input type="number" step="0.1" className="mt-1 w-full rounded-xl border p-2" value={d.transferFee ?? 0}
+                             onChange={(e) => updateDebt(d.id, { transferFee: e.target.value === "" ? "" : +e.target.value })} />
+                    </label>
+                    <div className="col-span-3 text-xs text-slate-400">APR above is the go‑to rate once the promo ends. The transfer fee is added to the balance once.</div>
+                    <label className="text-xs text-slate-500">Currency
+                      <select className="mt-1 w-full rounded-xl border p-2 bg-white" value={d.currency || ""}
+                              onChange={(e) => updateDebt(d.id, { currency: e.target.value === settings.currency ? "" : e.target.value })}>
+                        <option value="">{settings.currency} (home)</option>
+                        {CURRENCIES.filter((c) => c !== settings.currency).map((c) => <option key={c} value={c}>{c}</option>)}
+                      </select>
+                    </label>
+                    <div className="col-span-2 self-end text-xs text-slate-400 pb-2">
+                      {d.currency && d.currency !== settings.currency
+                        ? `Balance, minimum and logged payments are in ${d.currency}; the plan converts them at the rate in Settings.`
+                        : "Balance, minimum and logged payments are in the home currency."}
+                    </div>
+                  </div>
+                )}
+                {d.currency && d.currency !== settings.currency && (
+                  <div className="text-xs text-slate-500">
+                    In {d.currency} · {ratesNeeded.includes(d.currency)
+                      ? <span className="text-amber-700">enter the {d.currency} → {settings.currency} rate in Settings</span>
+                      : <>≈ {currency(startBalance(debtInHome(d, settings)))} at {rateToHome(d.currency, settings).toLocaleString(fmt.locale)}</>}
+                  </div>
+                )}
+                </div>
               ))}
               <button onClick={addDebt} className="w-full py-2 rounded-xl border bg-white hover:bg-slate-50 flex items-center justify-center gap-2">
                 <Plus className="w-4 h-4"/> Add another debt
@@ -326,6 +1417,126 @@ export default function App() {
             </div>
           </Card>
 
+          <Card title="Import & Backup" right={<div className="text-xs text-slate-500">CSV · OFX/QFX · JSON</div>}>
+            <div className="space-y-3 text-sm">
+              <div className="flex gap-2">
+                <label className="flex-1 py-2 rounded-xl border bg-white hover:bg-slate-50 flex items-center justify-center gap-2 cursor-pointer">
+                  <Upload className="w-4 h-4"/> Import file
+                  <input type="file" accept=".csv,.ofx,.qfx,.json,text/csv,application/json" className="hidden"
+                         onChange={(e) => { readImportFile(e.target.files?.[0]); e.target.value = ""; }} />
+                </label>
+                <button onClick={exportBackup} className="flex-1 py-2 rounded-xl border bg-white hover:bg-slate-50 flex items-center justify-center gap-2">
+                  <Download className="w-4 h-4"/> Backup (JSON)
+                </button>
+              </div>
+
+              {importing?.kind === "csv" && (
+                <div className="space-y-2">
+                  <div className="text-xs text-slate-500">Map the columns of <b>{importing.fileName}</b></div>
+                  <label className="text-xs text-slate-500 flex items-center gap-2">
+                    <input type="checkbox" checked={importing.hasHeader} onChange={(e) => setImporting({ ...importing, hasHeader: e.target.checked })} />
+                    First row is a header
+                  </label>
+                  <div className="grid grid-cols-2 gap-2">
+                    {DEBT_IMPORT_FIELDS.map((f) => (
+                      <label key={f.key} className="text-xs text-slate-500">{f.label}{f.required ? " *" : ""}
+                        <select className="mt-1 w-full rounded-xl border p-2 bg-white" value={importing.mapping[f.key]}
+                                onChange={(e) => setImporting({ ...importing, mapping: { ...importing.mapping, [f.key]: +e.target.value } })}>
+                          <option value={-1}>— not in file —</option>
+                          {(importing.rows[0] || []).map((h, i) => <option key={i} value={i}>{importing.hasHeader ? h || `Column ${i + 1}` : `Column ${i + 1} (${h})`}</option>)}
+                        </select>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {(importing?.kind === "csv" || importing?.kind === "ofx") && (
+                <div className="space-y-2">
+                  <div className="max-h-48 overflow-auto divide-y rounded-xl border">
+                    {importResults.map((r) => (
+                      <div key={r.line} className={`px-2 py-1 ${r.errors.length ? "bg-rose-50" : ""}`}>
+                        <div className="flex justify-between">
+                          <span>{importing.kind === "csv" ? "Row" : "Statement"} {r.line}: <b>{r.debt?.name || "(unnamed)"}</b></span>
+                          {r.debt && !r.errors.length && <span className="text-xs text-slate-500">{currency(r.debt.balance)} · {r.debt.apr}%</span>}
+                        </div>
+                        {r.errors.map((e, i) => <div key={i} className="text-xs text-rose-600">{e}</div>)}
+                      </div>
+                    ))}
+                  </div>
+                  <div className="flex gap-2">
+                    <button onClick={addImportedDebts} disabled={!importResults.some((r) => !r.errors.length)}
+                            className="flex-1 py-2 rounded-xl border bg-slate-900 text-white disabled:opacity-40">
+                      Add {importResults.filter((r) => !r.errors.length).length} valid debt(s)
+                    </button>
+                    <button onClick={() => setImporting(null)} className="px-3 py-2 rounded-xl border bg-white hover:bg-slate-50">Cancel</button>
+                  </div>
+                </div>
+              )}
+
+              {importing?.kind === "backup" && (
+                <div className="space-y-2">
+                  {importing.errors.length > 0 ? (
+                    <div className="max-h-48 overflow-auto rounded-xl border bg-rose-50 p-2 text-xs text-rose-700 space-y-1">
+                      {importing.errors.map((e, i) => <div key={i}>{e}</div>)}
+                    </div>
+                  ) : (
+                    <div className="text-xs text-slate-500">
+                      {importing.fileName}: {importing.backup.state.debts.length} debts, {(importing.backup.state.payments || []).length} payments,
+                      {" "}{(importing.backup.scenarios || []).length} scenarios (saved {String(importing.backup.exportedAt || "").slice(0, 10)}). Restoring replaces your current data.
+                    </div>
+                  )}
+                  <div className="flex gap-2">
+                    <button onClick={restoreBackup} disabled={!!importing.errors.length}
+                            className="flex-1 py-2 rounded-xl border bg-slate-900 text-white disabled:opacity-40">Restore backup</button>
+                    <button onClick={() => setImporting(null)} className="px-3 py-2 rounded-xl border bg-white hover:bg-slate-50">Cancel</button>
+                  </div>
+                </div>
+              )}
+            </div>
+          </Card>
+
+          <Card title="Payment Log" right={<div className="text-xs text-slate-500">What you actually paid</div>}>
+            <div className="space-y-3">
+              <div className="grid grid-cols-2 gap-2">
+                <label className="text-xs text-slate-500 col-span-2">Debt
+                  <select className="mt-1 w-full rounded-xl border p-2 bg-white" value={paymentDraft.debtId || state.debts[0]?.id || ""}
+                          onChange={(e) => setPaymentDraft({ ...paymentDraft, debtId: e.target.value })}>
+                    {state.debts.map((d) => <option key={d.id} value={d.id}>{d.name || "(unnamed)"}</option>)}
+                  </select>
+                </label>
+                <label className="text-xs text-slate-500">Date
+                  <input type="date" className="mt-1 w-full rounded-xl border p-2" value={paymentDraft.date}
+                         onChange={(e) => setPaymentDraft({ ...paymentDraft, date: e.target.value })} />
+                </label>
+                <label className="text-xs text-slate-500">Amount
+                  <input type="number" className="mt-1 w-full rounded-xl border p-2" value={paymentDraft.amount}
+                         onChange={(e) => setPaymentDraft({ ...paymentDraft, amount: e.target.value === "" ? "" : +e.target.value })} />
+                </label>
+                <label className="text-xs text-slate-500 col-span-2">Statement balance after payment (optional)
+                  <input type="number" className="mt-1 w-full rounded-xl border p-2" value={paymentDraft.statementBalance}
+                         onChange={(e) => setPaymentDraft({ ...paymentDraft, statementBalance: e.target.value === "" ? "" : +e.target.value })} />
+                </label>
+              </div>
+              <button onClick={logPayment} className="w-full py-2 rounded-xl border bg-white hover:bg-slate-50 flex items-center justify-center gap-2">
+                <Receipt className="w-4 h-4"/> Log payment
+              </button>
+              {state.payments.length > 0 && (
+                <div className="max-h-48 overflow-auto divide-y text-sm">
+                  {[...state.payments].sort((a, b) => b.date.localeCompare(a.date)).map((p) => (
+                    <div key={p.id} className="flex items-center justify-between py-1">
+                      <div>
+                        <div className="font-medium">{debtName(p.debtId)} · {currency(+p.amount || 0, debtCurrency(p.debtId))}</div>
+                        <div className="text-xs text-slate-400">{p.date}{p.statementBalance !== "" && p.statementBalance != null ? ` · statement ${currency(+p.statementBalance, debtCurrency(p.debtId))}` : ""}</div>
+                      </div>
+                      <button onClick={() => removePayment(p.id)} className="p-1 rounded-lg border bg-white hover:bg-slate-50" title="Remove"><Trash2 className="w-3 h-3"/></button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </Card>
+
           <Card title="What‑If Calculator" right={<div className="text-xs">Try different extra amounts</div>}>
             <div>
               <input type="range" min={0} max={Math.max(0, state.extra * 3 || 1000)} value={state.whatIfExtra} onChange={(e) => setState({ ...state, whatIfExtra: +e.target.value })} className="w-full"/>
@@ -335,21 +1546,160 @@ export default function App() {
               </div>
             </div>
           </Card>
+
+          <Card title="Cash‑Flow Schedule" right={<div className="text-xs text-slate-500">Windfalls & changes to extra</div>}>
+            <div className="space-y-4 text-sm">
+              <div className="space-y-2">
+                <div className="text-xs text-slate-500">One‑off windfalls (tax refund, bonus…)</div>
+                {(state.windfalls || []).map((w) => (
+                  <div key={w.id} className="grid grid-cols-12 gap-2 items-center">
+                    <input type="month" className="col-span-4 rounded-xl border p-2" value={w.month}
+                           onChange={(e) => updateScheduleRow("windfalls", w.id, { month: e.target.value })} />
+                    <input type="number" className="col-span-3 rounded-xl border p-2" value={w.amount}
+                           onChange={(e) => updateScheduleRow("windfalls", w.id, { amount: e.target.value === "" ? "" : +e.target.value })} />
+                    <select className="col-span-4 rounded-xl border p-2 bg-white" value={w.debtId}
+                            onChange={(e) => updateScheduleRow("windfalls", w.id, { debtId: e.target.value })}>
+                      <option value="">Follow strategy</option>
+                      {state.debts.map((d) => <option key={d.id} value={d.id}>{d.name || "(unnamed)"}</option>)}
+                    </select>
+                    <button onClick={() => removeScheduleRow("windfalls", w.id)} className="col-span-1 p-2 rounded-lg border bg-white hover:bg-slate-50" title="Remove"><Trash2 className="w-3 h-3"/></button>
+                  </div>
+                ))}
+                <button onClick={() => addScheduleRow("windfalls", EMPTY_WINDFALL)} className="w-full py-2 rounded-xl border bg-white hover:bg-slate-50 flex items-center justify-center gap-2">
+                  <Gift className="w-4 h-4"/> Add windfall
+                </button>
+              </div>
+
+              <div className="space-y-2">
+                <div className="text-xs text-slate-500">Recurring changes (from – until, leave "until" empty for open‑ended)</div>
+                {(state.extraChanges || []).map((c) => (
+                  <div key={c.id} className="grid grid-cols-12 gap-2 items-center">
+                    <input type="month" className="col-span-3 rounded-xl border p-2" value={c.from}
+                           onChange={(e) => updateScheduleRow("extraChanges", c.id, { from: e.target.value })} />
+                    <input type="month" className="col-span-3 rounded-xl border p-2" value={c.until}
+                           onChange={(e) => updateScheduleRow("extraChanges", c.id, { until: e.target.value })} />
+                    <select className="col-span-3 rounded-xl border p-2 bg-white" value={c.kind}
+                            onChange={(e) => updateScheduleRow("extraChanges", c.id, { kind: e.target.value })}>
+                      <option value="adjust">Change by</option>
+                      <option value="pause">Pause extra</option>
+                    </select>
+                    <input type="number" disabled={c.kind === "pause"} className="col-span-2 rounded-xl border p-2 disabled:bg-slate-100" value={c.amount}
+                           onChange={(e) => updateScheduleRow("extraChanges", c.id, { amount: e.target.value === "" ? "" : +e.target.value })} />
+                    <button onClick={() => removeScheduleRow("extraChanges", c.id)} className="col-span-1 p-2 rounded-lg border bg-white hover:bg-slate-50" title="Remove"><Trash2 className="w-3 h-3"/></button>
+                  </div>
+                ))}
+                <button onClick={() => addScheduleRow("extraChanges", EMPTY_EXTRA_CHANGE)} className="w-full py-2 rounded-xl border bg-white hover:bg-slate-50 flex items-center justify-center gap-2">
+                  <Plus className="w-4 h-4"/> Add change
+                </button>
+              </div>
+            </div>
+          </Card>
+
+          <Card title="Goal Solver" right={<div className="text-xs text-slate-500">From today's balances</div>}>
+            <div className="space-y-4 text-sm">
+              <div className="space-y-2">
+                <label className="text-xs text-slate-500 block">Debt‑free by
+                  <input type="month" className="mt-1 w-full rounded-xl border p-2" value={goal.targetMonth}
+                         onChange={(e) => setGoal({ ...goal, targetMonth: e.target.value })} />
+                </label>
+                {targetSolution === null && <div className="text-amber-700">Not reachable with {strategyLabel(state.strategy)} — pick a later month.</div>}
+                {targetSolution && (
+                  <div className="flex items-center justify-between gap-2 rounded-xl bg-slate-50 border p-2">
+                    <div>
+                      Extra needed: <b>{currency(targetSolution.extra)}</b> / mo
+                      <div className="text-xs text-slate-500">{targetSolution.plan.months} months · {currency(targetSolution.plan.totalInterest)} interest</div>
+                    </div>
+                    <button className="px-3 py-1 rounded-lg border bg-white hover:bg-slate-50" onClick={() => applySolution(targetSolution)}>Apply</button>
+                  </div>
+                )}
+              </div>
+
+              <div className="space-y-2">
+                <label className="text-xs text-slate-500 block">Max monthly budget (minimums + extra)
+                  <input type="number" className="mt-1 w-full rounded-xl border p-2" value={goal.budget}
+                         onChange={(e) => setGoal({ ...goal, budget: e.target.value })} />
+                </label>
+                {budgetSolution && !budgetSolution.feasible && (
+                  <div className="text-amber-700">
+                    {budgetSolution.extra < 0
+                      ? `Below this month's minimums (${currency(budgetSolution.minimums)}).`
+                      : "No strategy finishes within 50 years on this budget."}
+                  </div>
+                )}
+                {budgetSolution?.feasible && [
+                  { key: "fastest", title: "Earliest payoff", sol: budgetSolution.fastest },
+                  { key: "cheapest", title: "Least interest", sol: budgetSolution.cheapest },
+                ].map(({ key, title, sol }) => (
+                  <div key={key} className="rounded-xl bg-slate-50 border p-2 space-y-1">
+                    <div className="flex items-center justify-between gap-2">
+                      <div>
+                        <b>{title}:</b> {strategyLabel(sol.strategy)}
+                        <div className="text-xs text-slate-500">{sol.plan.months} months · {currency(sol.plan.totalInterest)} interest · {currency(sol.extra)} extra / mo</div>
+                      </div>
+                      <button className="px-3 py-1 rounded-lg border bg-white hover:bg-slate-50" onClick={() => applySolution(sol)}>Apply</button>
+                    </div>
+                    {key === "cheapest" && (
+                      <div className="text-xs text-slate-500">
+                        First month: {sol.plan.payoff.map((p, i) => `${p.name || "(unnamed)"} ${currency(sol.plan.plan[0]?.payments[i] || 0)}`).join(" · ")}
+                      </div>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          </Card>
         </section>
 
         {/* RIGHT: Analytics */}
         <section className="lg:col-span-2 space-y-6">
-          <div className="grid md:grid-cols-2 xl:grid-cols-4 gap-3">
-            <Stat icon={Calendar} label="Debt‑free in" value={`${plan.months} months`} sub={`~ ${payoffDate.toLocaleString(undefined, { month: 'short', year: 'numeric' })}`}/>
+          {(!diagnostics.complete || diagnostics.growing.length > 0 || diagnostics.budget) && (
+            <div className="rounded-2xl p-4 bg-amber-50 border border-amber-200 text-sm text-amber-900 space-y-2">
+              <div className="flex items-center gap-2 font-semibold"><AlertTriangle className="w-4 h-4"/> Check your plan</div>
+              {!diagnostics.complete && (
+                <div className="flex flex-wrap items-center gap-2">
+                  <span>
+                    At {currency(state.whatIfExtra)} extra / mo this plan never finishes — {diagnostics.unpaid.map((d) => d.name || "(unnamed)").join(", ")} still owe money after 50 years.
+                    {minExtraNeeded != null && <> You need at least <b>{currency(minExtraNeeded)}</b> extra / mo to ever be debt‑free.</>}
+                  </span>
+                  {minExtraNeeded != null && (
+                    <button className="px-2 py-1 rounded-lg border border-amber-300 bg-white hover:bg-amber-100 text-xs"
+                            onClick={() => setState({ ...state, extra: minExtraNeeded, whatIfExtra: minExtraNeeded })}>
+                      Use {currency(minExtraNeeded)}
+                    </button>
+                  )}
+                </div>
+              )}
+              {diagnostics.growing.map((g) => (
+                <div key={g.id}>
+                  <b>{g.name || "(unnamed)"}</b> grows for {g.months} month{g.months === 1 ? "" : "s"}
+                  {g.minimum < g.interest
+                    ? ` — its minimum (${currency(g.minimum)}) is below the monthly interest (${currency(g.interest)}).`
+                    : " while it waits for extra payments."}
+                </div>
+              ))}
+              {diagnostics.budget && (
+                <div>
+                  {diagnostics.budget.minimums > diagnostics.budget.income
+                    ? <>Minimums alone ({currency(diagnostics.budget.minimums)}) exceed your monthly income ({currency(diagnostics.budget.income)}).</>
+                    : <>Minimums plus extra ({currency(diagnostics.budget.minimums + diagnostics.budget.extra)}) exceed your monthly income ({currency(diagnostics.budget.income)}) by {currency(diagnostics.budget.shortfall)}.</>}
+                </div>
+              )}
+            </div>
+          )}
+
+          <div className="grid md:grid-cols-2 xl:grid-cols-5 gap-3">
+            <Stat icon={Calendar} label="Debt‑free in" value={diagnostics.complete ? `${plan.months} months` : "Not within 50 years"} sub={diagnostics.complete ? `~ ${fmt.month(payoffDate)}` : "See warnings above"}/>
             <Stat icon={TrendingDown} label="Interest (plan)" value={currency(plan.totalInterest)} sub={`${currency(interestSaved)} saved vs. minimums`}/>
             <Stat icon={PiggyBank} label="Minimums / mo" value={currency(totalMinimum)} sub={`Budget now: ${currency(monthlyBudget)}`}/>
             <Stat icon={Gauge} label="Progress" value={pct(progress, 0)} sub={`${currency(paidPrincipal)} paid of ${currency(totalPrincipal)}`}/>
+            <Stat icon={Receipt} label="Debt‑to‑income" value={budgetTotals.dti == null ? "—" : pct(budgetTotals.dti, 0)}
+                  sub={budgetTotals.dti == null ? "Add income in the budget" : budgetTotals.dti > 0.36 ? "Above the 36% lenders like" : "Minimums ÷ income"}/>
           </div>
 
-          <Card title="Payoff Timeline">
+          <Card title="Payoff Timeline" right={state.payments.length > 0 && <div className="text-xs text-slate-500">Plan vs. actual (re‑baselined today)</div>}>
             <div className="h-56">
               <ResponsiveContainer width="100%" height="100%">
-                <AreaChart data={plan.timeline.map((t) => ({ month: t.monthIndex + 1, balance: t.totalBalance }))}>
+                <ComposedChart data={timelineData}>
                   <defs>
                     <linearGradient id="g1" x1="0" y1="0" x2="0" y2="1">
                       <stop offset="5%" stopColor="#0ea5e9" stopOpacity={0.3}/>
@@ -358,14 +1708,188 @@ export default function App() {
                   </defs>
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis dataKey="month"/>
-                  <YAxis tickFormatter={(v) => (v/1000).toFixed(0) + 'k'} />
+                  <YAxis tickFormatter={fmt.compact} width={64} />
                   <Tooltip formatter={(v) => currency(v)} labelFormatter={(l) => `Month ${l}`}/>
-                  <Area type="monotone" dataKey="balance" stroke="#0ea5e9" fillOpacity={1} fill="url(#g1)" />
-                </AreaChart>
+                  <Area type="monotone" dataKey="balance" name="Plan" stroke="#0ea5e9" fillOpacity={1} fill="url(#g1)" />
+                  {state.payments.length > 0 && <Line type="monotone" dataKey="actual" name="Actual" stroke="#10b981" strokeWidth={2} dot={false} connectNulls />}
+                  {state.payments.length > 0 && <Line type="monotone" dataKey="projected" name="Re‑baselined" stroke="#10b981" strokeDasharray="5 5" dot={false} connectNulls />}
+                  {state.payments.length > 0 && <Legend />}
+                  {markerLines}
+                </ComposedChart>
               </ResponsiveContainer>
             </div>
           </Card>
 
+          <Card title="Consolidation Analyzer" right={<div className="text-xs text-slate-500">Roll debts into one loan</div>}>
+            <div className="space-y-4 text-sm">
+              <div className="flex flex-wrap gap-2">
+                {planDebts.map((d) => (
+                  <label key={d.id} className={`px-3 py-1 rounded-xl border cursor-pointer ${consolidation.ids.includes(d.id) ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50"}`}>
+                    <input type="checkbox" className="hidden" checked={consolidation.ids.includes(d.id)} onChange={() => toggleConsolidate(d.id)} />
+                    {d.name || "(unnamed)"} · {currency(startBalance(d))}
+                  </label>
+                ))}
+              </div>
+              <div className="grid grid-cols-3 gap-2">
+                <label className="text-xs text-slate-500">Loan APR %
+                  <input type="number" step="0.01" className="mt-1 w-full rounded-xl border p-2" value={consolidation.apr}
+                         onChange={(e) => setConsolidation({ ...consolidation, apr: +e.target.value })} />
+                </label>
+                <label className="text-xs text-slate-500">Term (months)
+                  <input type="number" className="mt-1 w-full rounded-xl border p-2" value={consolidation.termMonths}
+                         onChange={(e) => setConsolidation({ ...consolidation, termMonths: +e.target.value })} />
+                </label>
+                <label className="text-xs text-slate-500">Origination fee %
+                  <input type="number" step="0.1" className="mt-1 w-full rounded-xl border p-2" value={consolidation.feePct}
+                         onChange={(e) => setConsolidation({ ...consolidation, feePct: +e.target.value })} />
+                </label>
+              </div>
+              {!consolidationResult && <div className="text-xs text-slate-400">Select the debts the loan would pay off.</div>}
+              {consolidationResult && (
+                <div className="space-y-3">
+                  <div className="grid md:grid-cols-3 gap-3">
+                    <div className="rounded-xl bg-slate-50 border p-3">
+                      <div className="text-xs text-slate-500">New monthly minimum</div>
+                      <div className="font-semibold">{currency(consolidationResult.newMinimum)}</div>
+                      <div className="text-xs text-slate-400">replaces {currency(consolidationResult.replacedMinimum)}</div>
+                    </div>
+                    <div className="rounded-xl bg-slate-50 border p-3">
+                      <div className="text-xs text-slate-500">Interest + fee vs. current</div>
+                      {consolidationResult.interestDiff == null ? (
+                        <div className="font-semibold text-amber-700">
+                          {consolidationResult.currentComplete ? "Consolidated plan never finishes" : "Current plan never finishes"}
+                        </div>
+                      ) : (
+                        <div className={`font-semibold ${consolidationResult.interestDiff <= 0 ? "text-emerald-600" : "text-amber-700"}`}>
+                          {consolidationResult.interestDiff <= 0 ? "−" : "+"}{currency(Math.abs(consolidationResult.interestDiff))}
+                        </div>
+                      )}
+                      <div className="text-xs text-slate-400">fee {currency(consolidationResult.fee)}</div>
+                    </div>
+                    <div className="rounded-xl bg-slate-50 border p-3">
+                      <div className="text-xs text-slate-500">Break‑even</div>
+                      <div className="font-semibold">
+                        {!consolidationResult.currentComplete || !consolidationResult.nextComplete
+                          ? "—"
+                          : consolidationResult.breakEvenMonth == null
+                            ? "Never"
+                            : fmt.month(monthAdd(planStart, consolidationResult.breakEvenMonth + 1))}
+                      </div>
+                      <div className="text-xs text-slate-400">
+                        debt‑free in {consolidationResult.nextComplete ? `${consolidationResult.next.months} months` : "50+ years"} vs.{" "}
+                        {consolidationResult.currentComplete ? `${consolidationResult.current.months} months` : "50+ years"}
+                      </div>
+                    </div>
+                  </div>
+                  <button onClick={adoptConsolidation} className="px-3 py-2 rounded-xl border bg-white hover:bg-slate-50 flex items-center gap-2">
+                    <Layers className="w-4 h-4"/> Adopt as scenario
+                  </button>
+                </div>
+              )}
+            </div>
+          </Card>
+
+          <Card title="Scenarios" right={<div className="text-xs text-slate-500">Forks of the plan, saved separately</div>}>
+            <div className="space-y-4 text-sm">
+              <div className="flex gap-2">
+                <input className="flex-1 rounded-xl border p-2" placeholder="e.g. Sell the car" value={scenarioName}
+                       onChange={(e) => setScenarioName(e.target.value)} />
+                <button onClick={forkScenario} className="px-3 py-2 rounded-xl border bg-white hover:bg-slate-50 flex items-center gap-2">
+                  <GitBranch className="w-4 h-4"/> Fork current
+                </button>
+              </div>
+              {scenarios.length > 0 && (
+                <div className="divide-y">
+                  {scenarios.map((sc) => (
+                    <div key={sc.id} className="flex items-center gap-2 py-2">
+                      <input type="checkbox" checked={!!sc.compare} title="Compare" onChange={(e) => updateScenario(sc.id, { compare: e.target.checked })} />
+                      <input className="flex-1 rounded-lg border px-2 py-1" value={sc.name} onChange={(e) => updateScenario(sc.id, { name: e.target.value })} />
+                      <span className="text-xs text-slate-400">{sc.createdAt}</span>
+                      <button onClick={() => setActiveScenarioId(activeScenarioId === sc.id ? null : sc.id)}
+                              className={`px-2 py-1 rounded-lg border text-xs ${activeScenarioId === sc.id ? "bg-slate-900 text-white" : "bg-white hover:bg-slate-50"}`}>
+                        {activeScenarioId === sc.id ? "Editing" : "Edit"}
+                      </button>
+                      <button onClick={() => removeScenario(sc.id)} className="p-1 rounded-lg border bg-white hover:bg-slate-50" title="Delete"><Trash2 className="w-3 h-3"/></button>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {scenarioRuns.length > 1 && (
+                <>
+                  <div className="h-56">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={scenarioChart}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="month"/>
+                        <YAxis tickFormatter={fmt.compact} width={64} />
+                        <Tooltip formatter={(v) => currency(v)} labelFormatter={(l) => `Month ${l}`}/>
+                        <Legend />
+                        {scenarioRuns.map((r) => (
+                          <Line key={r.id} type="monotone" dataKey={r.id} name={r.name} stroke={r.color} strokeWidth={r.id === "real" ? 2 : 1.5} dot={false} />
+                        ))}
+                      </LineChart>
+                    </ResponsiveContainer>
+                  </div>
+                  <div className="overflow-auto">
+                    <table className="w-full">
+                      <thead>
+                        <tr className="text-left text-slate-500">
+                          <th className="py-2">Scenario</th>
+                          <th>Debt‑free</th>
+                          <th>Total Interest</th>
+                          <th>Monthly Budget</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {scenarioRuns.map((r) => {
+                          const real = scenarioRuns[0];
+                          const delta = (v, base, fmt) => (r.id === "real" ? "" : ` (${v - base >= 0 ? "+" : "−"}${fmt(Math.abs(v - base))})`);
+                          return (
+                            <tr key={r.id} className="border-t">
+                              <td className="py-2 font-medium"><span className="inline-block w-2 h-2 rounded-full mr-2" style={{ background: r.color }}/>{r.name}</td>
+                              <td>
+                                {r.run.diagnostics.complete ? fmt.month(r.payoffDate) : "600+ months"}
+                                <span className="text-xs text-slate-400">{delta(r.run.months, real.run.months, (n) => `${n} mo`)}</span>
+                              </td>
+                              <td>{currency(r.run.totalInterest)}<span className="text-xs text-slate-400">{delta(r.run.totalInterest, real.run.totalInterest, currency)}</span></td>
+                              <td>{currency(r.budget)}<span className="text-xs text-slate-400">{delta(r.budget, real.budget, currency)}</span></td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              )}
+            </div>
+          </Card>
+
+          <Card title="Strategy Comparison" right={<div className="text-xs text-slate-500">At {currency(state.whatIfExtra)} extra / mo</div>}>
+            <div className="overflow-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-slate-500">
+                    <th className="py-2">Strategy</th>
+                    <th>Months</th>
+                    <th>Total Interest</th>
+                    <th>First Payoff</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {strategyRuns.map((r) => (
+                    <tr key={r.id} onClick={() => setState({ ...state, strategy: r.id })}
+                        className={`border-t cursor-pointer ${state.strategy === r.id ? "bg-slate-100 font-medium" : "hover:bg-slate-50"}`}>
+                      <td className="py-2">{r.label}</td>
+                      <td>{r.complete ? r.months : "600+"}</td>
+                      <td>{currency(r.totalInterest)}</td>
+                      <td>{r.first ? `${r.first.name || "(unnamed)"} · ${fmt.month(r.first.payoffDate)}` : "—"}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </Card>
+
           <Card title="Payoff Order & Dates">
             <div className="overflow-auto">
               <table className="w-full text-sm">
@@ -375,24 +1899,48 @@ export default function App() {
                     <th>Start Balance</th>
                     <th>APR</th>
                     <th>Minimum</th>
+                    <th>Due</th>
                     <th>Payoff Date</th>
+                    <th>Interest</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {state.debts
-                    .map((d, i) => ({
-                      ...d,
-                      payoffDate: plan.plan.length ? plan.plan[plan.plan.findLastIndex((r) => r.remaining[i] <= 0)]?.date : null,
-                    }))
-                    .sort((a, b) => (a.payoffDate?.getTime() || 0) - (b.payoffDate?.getTime() || 0))
+                  {planDebts
+                    .map((d, i) => ({ ...d, own: state.debts[i], result: payoffById.get(d.id) }))
+                    .sort((a, b) => (a.result?.payoffDate?.getTime() || 0) - (b.result?.payoffDate?.getTime() || 0))
                     .map((d) => (
-                    <tr key={d.id} className="border-t">
-                      <td className="py-2 font-medium">{d.name || "(unnamed)"}</td>
-                      <td>{currency(+d.balance || 0)}</td>
-                      <td>{(+d.apr || 0).toFixed(2)}%</td>
-                      <td>{currency(+d.min || 0)}</td>
-                      <td>{d.payoffDate ? d.payoffDate.toLocaleDateString(undefined, { month: 'short', year: 'numeric' }) : "—"}</td>
-                    </tr>
+                    <React.Fragment key={d.id}>
+                      <tr className="border-t cursor-pointer hover:bg-slate-50" onClick={() => setOpenLedger(openLedger === d.id ? null : d.id)}>
+                        <td className="py-2 font-medium">
+                          <span className="inline-flex items-center gap-1">
+                            {openLedger === d.id ? <ChevronDown className="w-4 h-4"/> : <ChevronRight className="w-4 h-4"/>}
+                            {d.name || "(unnamed)"}
+                          </span>
+                        </td>
+                        <td>
+                          {currency(startBalance(d))}
+                          {d.own.currency && d.own.currency !== settings.currency && <div className="text-xs text-slate-400">{currency(startBalance(d.own), d.own.currency)}</div>}
+                        </td>
+                        <td>
+                          {d.promoUntil ? `${(+d.promoApr || 0).toFixed(2)}% → ` : ""}{(+d.apr || 0).toFixed(2)}%
+                          {d.promoUntil && <div className="text-xs text-slate-400">from {d.promoUntil}</div>}
+                        </td>
+                        <td>
+                          {currency(currentMinimum(d))}
+                          {(d.minRule || "fixed") !== "fixed" && <div className="text-xs text-slate-400">{MIN_RULES.find((r) => r.id === d.minRule)?.label}</div>}
+                        </td>
+                        <td>{d.dueDay ? `Day ${d.dueDay}` : "—"}</td>
+                        <td>{d.result?.payoffDate ? (state.accrual === "daily" ? fmt.day : fmt.month)(d.result.payoffDate) : "—"}</td>
+                        <td>{currency(d.result?.interestPaid || 0)}</td>
+                      </tr>
+                      {openLedger === d.id && (
+                        <tr>
+                          <td colSpan={7} className="pb-3">
+                            <LedgerTable ledger={d.result?.ledger} fmt={fmt} />
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
                   ))}
                 </tbody>
               </table>
@@ -406,14 +1954,30 @@ export default function App() {
                   <BarChart data={plan.timeline.map((t) => ({ month: t.monthIndex + 1, interest: t.interestPaid }))}>
                     <CartesianGrid strokeDasharray="3 3" />
                     <XAxis dataKey="month"/>
-                    <YAxis tickFormatter={(v) => (v/100).toFixed(0)}/>
+                    <YAxis tickFormatter={fmt.compact} width={64} />
                     <Tooltip formatter={(v) => currency(v)} labelFormatter={(l) => `Month ${l}`}/>
                     <Bar dataKey="interest" fill="#818cf8" />
+                    {markerLines}
                   </BarChart>
                 </ResponsiveContainer>
               </div>
             </Card>
 
+            <Card title="Export">
+              <div className="space-y-2 text-sm">
+                <button onClick={exportCSV} className="w-full py-2 rounded-xl border bg-white hover:bg-slate-50 flex items-center justify-center gap-2">
+                  <Download className="w-4 h-4"/> Payment schedule (CSV)
+                </button>
+                <button onClick={exportICS} className="w-full py-2 rounded-xl border bg-white hover:bg-slate-50 flex items-center justify-center gap-2">
+                  <Calendar className="w-4 h-4"/> Payment reminders (.ics)
+                </button>
+                <button onClick={printReport} className="w-full py-2 rounded-xl border bg-white hover:bg-slate-50 flex items-center justify-center gap-2">
+                  <Printer className="w-4 h-4"/> Printable report
+                </button>
+                <div className="text-xs text-slate-400">Exports the plan on screen ({currency(state.whatIfExtra)} extra / mo, {strategyLabel(state.strategy)}).</div>
+              </div>
+            </Card>
+
             <Card title="Gamification: Streaks & Milestones">
               <div className="space-y-3">
                 <div className="flex items-center gap-2 text-sm">
@@ -0,0 +1,838 @@
+/**
+ * Debt‑Payoff Coach — headless payoff engine (plain ES module: no React, no DOM)
+ * Used by the app (debt_payoff_coach_react_single_file.jsx), the CLI (debt_payoff_cli.mjs) and the tests.
+ *
+ * Input — a debt, as in EMPTY_DEBT (all amounts in one currency; mixed currencies go through debtInHome first):
+ *   { id, name, balance, apr (% a year), min (payment, or the floor of a non‑fixed rule), dueDay (1–31),
+ *     minRule: "fixed" | "percent" | "interestPlus" | "installment", minPct, termMonths,
+ *     promoApr, promoUntil ("YYYY-MM"), transferFee (% added once), statementDay (1–31, "" = due day), currency }
+ *
+ * Output — simulatePlan(debts, extra, strategy, today, options), strategy: any STRATEGIES id:
+ *   { months, totalStart, totalInterest,
+ *     timeline: [{ monthIndex, totalBalance, interestPaid, extra, windfall }],
+ *     plan:     [{ monthIndex, date, payments[], remaining[], interestByDebt[], interest, totalRemaining }],
+ *     payoff:   [{ id, name, startBalance, payoffMonthIndex, payoffDate, interestPaid,
+ *                 ledger: [{ monthIndex, date, opening, apr, interest, minimum, extra, closing }] }],
+ *     diagnostics: { complete, growing[], unpaid[], budget } }
+ *   Debts without a positive balance are left out; per‑debt arrays follow the order of the debts kept.
+ *
+ * Dates are local Date objects; "YYYY-MM-DD" / "YYYY-MM" strings go through parseDay, formatDay and formatMonth.
+ */
+
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+const EMPTY_DEBT = { id: "", name: "", balance: 0, apr: 0, min: 0, dueDay: 1, minRule: "fixed", minPct: 2, termMonths: 60, promoApr: 0, promoUntil: "", transferFee: 0, statementDay: "", currency: "" };
+// statementDay "" = closes on the due day; currency "" = the home currency
+
+const MIN_RULES = [
+  { id: "fixed", label: "Fixed amount" },
+  { id: "percent", label: "% of balance" },
+  { id: "interestPlus", label: "Interest + 1%" },
+  { id: "installment", label: "Installment (term)" },
+];
+const ACCRUAL_MODES = [
+  { id: "monthly", label: "Monthly (APR ÷ 12)" },
+  { id: "daily", label: "Daily (statement cycles)" },
+];
+
+// ---- Dates ----
+
+// `n` calendar months later, the day clamped to that month's length (Jan 31 + 1 -> Feb 28, not Mar 3)
+function monthAdd(date, n) {
+  const d = new Date(date);
+  d.setDate(1);
+  d.setMonth(d.getMonth() + n);
+  d.setDate(Math.min(date.getDate(), new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate()));
+  return d;
+}
+
+function formatMonth(d) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+}
+
+function formatDay(d) {
+  return `${formatMonth(d)}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+// "YYYY-MM-DD" -> local Date (avoids the UTC shift of new Date("YYYY-MM-DD"))
+function parseDay(s) {
+  const [y, m, d] = String(s).split("-").map(Number);
+  return new Date(y, (m || 1) - 1, d || 1);
+}
+
+function monthsBetween(from, to) {
+  return Math.max(0, (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth());
+}
+
+// Whole calendar days from `from` to `to` (rounded, so DST shifts don't matter)
+function daysBetween(from, to) {
+  return Math.round((to - from) / 86400000);
+}
+
+// Payment date for a plan month: the debt's due day within the month of `date` (clamped to short months)
+function dueDate(date, dueDay) {
+  const last = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  return new Date(date.getFullYear(), date.getMonth(), clamp(Math.round(+dueDay || 1), 1, last));
+}
+
+// Daily accrual: the statement cycle whose payment is due in the month of `month` (first of the month).
+// `close` is the last statement day before the due date, `next` the close after it; the cycle is (close, next].
+// The close month is picked from the day numbers, not the clamped dates, so February's clamping (statement 30,
+// due 31 both land on the 28th) can't skip a cycle — each cycle starts where the previous one's `next` ended.
+function statementCycle(d, month) {
+  const closeDay = +d.statementDay || +d.dueDay || 1;
+  const due = dueDate(month, d.dueDay);
+  const closeMonth = closeDay < (+d.dueDay || 1) ? month.getMonth() : month.getMonth() - 1;
+  const close = dueDate(new Date(month.getFullYear(), closeMonth, 1), closeDay);
+  const next = dueDate(new Date(close.getFullYear(), close.getMonth() + 1, 1), closeDay);
+  return { close, due, next };
+}
+
+// ---- Debt math ----
+
+// Balance owed at the start of the plan, including a one‑time balance‑transfer fee (% of the transferred balance)
+function startBalance(d) {
+  return (+d.balance || 0) * (1 + (+d.transferFee || 0) / 100);
+}
+
+// APR in effect during simulated month `monthIndex`: the promo rate until the promo‑end month, then the go‑to rate
+function rateAt(d, monthIndex) {
+  return monthIndex < d.promoMonths ? d.promoApr : d.apr;
+}
+
+// Real balances from the payment log. A statement balance (balance after that payment) re‑anchors the debt;
+// payments without one are subtracted from the last known balance.
+function actualBalances(debts, payments, asOf = new Date()) {
+  const cutoff = formatDay(asOf);
+  return debts.map((d) => {
+    const log = payments
+      .filter((p) => p.debtId === d.id && p.date <= cutoff)
+      .sort((a, b) => a.date.localeCompare(b.date));
+    let balance = startBalance(d);
+    for (const p of log) {
+      if (p.statementBalance !== "" && p.statementBalance != null) balance = +p.statementBalance;
+      else balance -= +p.amount || 0;
+    }
+    return { ...d, balance: Math.max(0, balance), transferFee: 0 };
+  });
+}
+
+// Consecutive months (ending now) in which actual payments beat the minimums by at least `threshold`.
+// The current month only counts once it qualifies, so an unpaid month‑to‑date doesn't break the streak.
+function paymentStreak(debts, payments, threshold, today = new Date()) {
+  const mins = new Map(debts.map((d) => [d.id, currentMinimum(d, today)]));
+  const paid = new Map(); // "YYYY-MM" -> Map(debtId -> amount)
+  for (const p of payments) {
+    if (!mins.has(p.debtId)) continue;
+    const key = p.date.slice(0, 7);
+    if (!paid.has(key)) paid.set(key, new Map());
+    const month = paid.get(key);
+    month.set(p.debtId, (month.get(p.debtId) || 0) + (+p.amount || 0));
+  }
+  const extraIn = (d) => {
+    const month = paid.get(formatMonth(d));
+    if (!month) return 0;
+    let extra = 0;
+    month.forEach((amount, id) => { extra += Math.max(0, amount - mins.get(id)); });
+    return extra;
+  };
+
+  let cursor = new Date(today.getFullYear(), today.getMonth(), 1);
+  if (extraIn(cursor) < threshold) cursor = monthAdd(cursor, -1);
+  let streak = 0;
+  while (extraIn(cursor) >= threshold) {
+    streak += 1;
+    cursor = monthAdd(cursor, -1);
+  }
+  return streak;
+}
+
+// Numeric copy of a stored debt as the simulator sees it on `today`
+function normalizeDebt(d, today = new Date()) {
+  return {
+    ...d,
+    balance: startBalance(d),
+    apr: +d.apr,
+    min: +d.min,
+    minRule: d.minRule || "fixed",
+    minPct: +d.minPct || 0,
+    termMonths: +d.termMonths || 0,
+    promoApr: +d.promoApr || 0,
+    promoMonths: d.promoUntil ? monthsBetween(today, parseDay(`${d.promoUntil}-01`)) : 0,
+    dueDay: clamp(Math.round(+d.dueDay || 1), 1, 31),
+    statementDay: clamp(Math.round(+d.statementDay || +d.dueDay || 1), 1, 31),
+  };
+}
+
+// Minimum due in simulated month `monthIndex`. `balance` already includes this month's `interest`.
+// For the percentage rules `min` is the floor; installment loans re‑amortize what's left over the rest of the term.
+function minimumPayment(d, balance, interest, monthIndex = 0) {
+  const floor = d.min || 0;
+  let due = floor;
+  if (d.minRule === "percent") {
+    due = Math.max(floor, (balance * d.minPct) / 100);
+  } else if (d.minRule === "interestPlus") {
+    due = Math.max(floor, interest + (balance - interest) * 0.01);
+  } else if (d.minRule === "installment") {
+    const n = Math.max(1, d.termMonths - monthIndex);
+    const r = rateAt(d, monthIndex) / 100 / 12;
+    const principal = balance - interest;
+    due = r > 0 ? (principal * r) / (1 - Math.pow(1 + r, -n)) : principal / n;
+  }
+  return clamp(due, 0, balance);
+}
+
+// This month's minimum for a stored debt (what the Debts card and the budget show)
+function currentMinimum(d, today = new Date()) {
+  const n = normalizeDebt(d, today);
+  const interest = (n.balance * rateAt(n, 0)) / 100 / 12;
+  return minimumPayment(n, n.balance + interest, interest, 0);
+}
+
+// ---- Simulation & solvers ----
+
+const STRATEGIES = [
+  { id: "avalanche", label: "Avalanche (highest APR)" },
+  { id: "snowball", label: "Snowball (smallest balance)" },
+  { id: "interestCost", label: "Highest interest cost / mo" },
+  { id: "hybrid", label: "Hybrid (small balances, then APR)" },
+  { id: "proportional", label: "Proportional split" },
+  { id: "custom", label: "Custom order" },
+];
+
+const MAX_MONTHS = 600; // simulation safety cap (50 years)
+
+// Core simulator
+// options.income: monthly income, used only to flag budgets that exceed it in `diagnostics`
+// options.customOrder: debt ids in priority order for the "custom" strategy (unlisted debts follow, by avalanche)
+// options.hybridThreshold: balances at or below this are snowballed first by the "hybrid" strategy
+// options.windfalls / options.extraChanges: cash‑flow schedule keyed by payment month ("YYYY-MM"), see scheduledExtra
+// options.accrual: "monthly" (default) compounds APR/12 and pays on the month's date; "daily" runs each debt's
+//   statement cycle: APR/365 per day from the close to the due date, the payment on the due date, then APR/365
+//   on what's left until the next close (i.e. average daily balance). Ledger rows and payoff dates are due dates.
+function simulatePlan(inputDebts, extra, strategy = "avalanche", today = new Date(), options = {}) {
+  const debts = inputDebts
+    .map((d) => normalizeDebt(d, today))
+    .filter((d) => d.balance > 0 && d.apr >= 0 && d.min >= 0);
+  if (!debts.length) return { months: 0, timeline: [], totalInterest: 0, payoff: [], plan: [], diagnostics: { complete: true, growing: [], unpaid: [], budget: null } };
+
+  const totalStart = debts.reduce((s, d) => s + d.balance, 0);
+  const maxMonths = MAX_MONTHS;
+
+  const payoff = debts.map((d) => ({ id: d.id, name: d.name, startBalance: d.balance, payoffMonthIndex: null, payoffDate: null, interestPaid: 0, ledger: [] }));
+  const timeline = []; // {monthIndex, totalBalance, interestPaid}
+  const plan = []; // per-month breakdown rows
+
+  let monthIndex = 0;
+  let active = debts.map((d) => ({ ...d }));
+
+  // Avalanche ranks by the rate a balance will actually bear. A promo balance that could no longer be cleared if
+  // we waited another month (at its minimum plus all extra) is ranked at its go‑to APR, so it's paid down in time.
+  const targetApr = (d, extraBudget) => {
+    const rate = rateAt(d, monthIndex);
+    const monthsLeft = d.promoMonths - monthIndex;
+    if (monthsLeft <= 0) return rate;
+    return d.balance > (d.due + extraBudget) * (monthsLeft - 1) ? Math.max(rate, d.apr) : rate;
+  };
+
+  const baseExtra = Math.max(0, +extra || 0);
+  let monthExtra = baseExtra;
+
+  const customRank = new Map((options.customOrder || []).map((id, i) => [id, i]));
+  const hybridThreshold = Math.max(0, +options.hybridThreshold || 0);
+  const daily = options.accrual === "daily";
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  // daily: a debt whose due date this month is still ahead makes its first payment then, the rest next month
+  const firstOffset = active.map((d) => (daily && dueDate(new Date(today.getFullYear(), today.getMonth(), 1), d.dueDay) > start ? 0 : 1));
+
+  // helper: pick target by strategy ("proportional" has no single target; see the extra loop)
+  const pickTargetIndex = () => {
+    const extraBudget = monthExtra;
+    const open = active
+      .map((x, i) => ({ i, x, apr: targetApr(x, extraBudget) }))
+      .filter(({ x }) => x.balance > 0);
+    if (!open.length) return -1;
+
+    // avalanche: highest APR (promo‑aware; ties go to the promo that expires first)
+    const byApr = (a, b) => b.apr - a.apr || (a.x.promoMonths || Infinity) - (b.x.promoMonths || Infinity);
+    const cost = ({ x }) => x.balance * rateAt(x, monthIndex);
+    const rankers = {
+      snowball: (a, b) => a.x.balance - b.x.balance,
+      interestCost: (a, b) => cost(b) - cost(a) || byApr(a, b),
+      hybrid: (a, b) => {
+        const smallA = a.x.balance <= hybridThreshold;
+        const smallB = b.x.balance <= hybridThreshold;
+        if (smallA !== smallB) return smallA ? -1 : 1;
+        return smallA ? a.x.balance - b.x.balance : byApr(a, b);
+      },
+      custom: (a, b) => (customRank.get(a.x.id) ?? Infinity) - (customRank.get(b.x.id) ?? Infinity) || byApr(a, b),
+    };
+    return open.sort(rankers[strategy] || byApr)[0].i;
+  };
+
+  while (monthIndex < maxMonths && active.some((d) => d.balance > 0.005)) {
+    // month paid in: calendar month today + 1 + monthIndex (keys the schedule). Daily mode pays on each debt's due
+    // day, a month earlier for debts still due this month (firstOffset 0); monthly mode dates the row on today's day
+    // of the month, clamped so Jan 31 is followed by Feb 28.
+    const month = new Date(today.getFullYear(), today.getMonth() + monthIndex + 1, 1);
+    const date = daily ? month : monthAdd(today, monthIndex + 1);
+    const cycles = daily ? active.map((d, i) => statementCycle(d, new Date(month.getFullYear(), month.getMonth() + firstOffset[i] - 1, 1))) : [];
+
+    // accrue interest (daily: up to the due date) & compute minimums
+    let monthInterest = 0;
+    const opening = active.map((d) => Math.max(0, d.balance));
+    const interestByDebt = new Array(active.length).fill(0);
+    const minimums = new Array(active.length).fill(0);
+
+    for (let i = 0; i < active.length; i++) {
+      const d = active[i];
+      if (d.balance <= 0) continue;
+      const interest = daily
+        ? d.balance * (rateAt(d, monthIndex) / 100 / 365) * daysBetween(monthIndex === 0 ? start : cycles[i].close, cycles[i].due)
+        : d.balance * (rateAt(d, monthIndex) / 100 / 12);
+      monthInterest += interest;
+      interestByDebt[i] = interest;
+      d.balance += interest;
+
+      // daily: the minimum is set by the last statement, whose balance carries the previous cycle's interest
+      const minPay = minimumPayment(d, d.balance, daily ? d.statementInterest ?? interest : interest, monthIndex);
+      d.due = minPay;
+      d.balance -= minPay;
+      minimums[i] = minPay;
+    }
+
+    // this month's extra from the schedule; targeted windfalls hit their debt first, the rest joins the pool
+    const scheduled = scheduledExtra(baseExtra, formatMonth(month), options);
+    monthExtra = scheduled.extra;
+    let remainingExtra = scheduled.extra;
+    let payments = [...minimums];
+
+    for (const w of scheduled.targeted) {
+      const idx = active.findIndex((d) => d.id === w.debtId);
+      const pay = idx < 0 ? 0 : Math.min(w.amount, Math.max(0, active[idx].balance));
+      if (pay > 0) {
+        active[idx].balance -= pay;
+        payments[idx] += pay;
+      }
+      remainingExtra += w.amount - pay;
+    }
+
+    // distribute extra toward target (with cascading overflow)
+    while (strategy === "proportional" && remainingExtra > 0.0001 && active.some((d) => d.balance > 0.0001)) {
+      // split extra by share of the open balance; anything a debt can't absorb goes round again
+      const open = active.reduce((s, d) => s + Math.max(0, d.balance), 0);
+      const round = remainingExtra;
+      for (let i = 0; i < active.length; i++) {
+        const d = active[i];
+        if (d.balance <= 0) continue;
+        const pay = Math.min(d.balance, (round * d.balance) / open);
+        d.balance -= pay;
+        payments[i] += pay;
+        remainingExtra -= pay;
+      }
+    }
+
+    while (remainingExtra > 0.0001 && active.some((d) => d.balance > 0.0001)) {
+      const idx = pickTargetIndex();
+      if (idx < 0) break;
+      const d = active[idx];
+      const pay = Math.min(remainingExtra, d.balance);
+      d.balance -= pay;
+      payments[idx] += pay;
+      remainingExtra -= pay;
+    }
+
+    // daily: the rest of the cycle accrues on what's left after the payment; it posts at the next close
+    for (let i = 0; daily && i < active.length; i++) {
+      const d = active[i];
+      if (opening[i] <= 0) continue;
+      const interest = Math.max(0, d.balance) * (rateAt(d, monthIndex) / 100 / 365) * daysBetween(cycles[i].due, cycles[i].next);
+      d.balance += interest;
+      interestByDebt[i] += interest;
+      monthInterest += interest;
+      d.statementInterest = interestByDebt[i];
+    }
+
+    // mark any paid‑off debts
+    for (let i = 0; i < active.length; i++) {
+      const d = active[i];
+      if (d.balance <= 0.0001 && payoff[i].payoffMonthIndex == null) {
+        payoff[i].payoffMonthIndex = monthIndex;
+        payoff[i].payoffDate = daily ? cycles[i].due : date; // end of the month
+      }
+    }
+
+    // total remaining
+    const totalRemain = active.reduce((s, d) => s + Math.max(0, d.balance), 0);
+
+    // per-debt ledger: every dollar of interest is attributed to the debt that accrued it
+    for (let i = 0; i < active.length; i++) {
+      payoff[i].interestPaid += interestByDebt[i];
+      if (opening[i] <= 0) continue;
+      payoff[i].ledger.push({
+        monthIndex,
+        date: daily ? cycles[i].due : date,
+        opening: opening[i],
+        apr: rateAt(active[i], monthIndex),
+        interest: interestByDebt[i],
+        minimum: minimums[i],
+        extra: payments[i] - minimums[i],
+        closing: Math.max(0, active[i].balance),
+      });
+    }
+
+    timeline.push({ monthIndex, totalBalance: totalRemain, interestPaid: monthInterest, extra: scheduled.recurring, windfall: scheduled.windfall });
+
+    const row = {
+      monthIndex,
+      date,
+      payments,
+      remaining: active.map((d) => Math.max(0, d.balance)),
+      interestByDebt,
+      interest: monthInterest,
+      totalRemaining: totalRemain,
+    };
+    plan.push(row);
+
+    monthIndex++;
+    if (totalRemain <= 0.01) break;
+  }
+
+  const totalInterest = timeline.reduce((s, t) => s + t.interestPaid, 0);
+  const diagnostics = diagnosePlan(payoff, active, Math.max(0, +extra || 0), options.income);
+
+  return { months: monthIndex, totalStart, timeline, totalInterest, payoff, plan, diagnostics };
+}
+
+// Extra available in the month paid in `key` ("YYYY-MM"): the base extra adjusted by every recurring change in
+// effect (any pause zeroes it, reported as `recurring`), plus untargeted windfalls. Windfalls aimed at a debt come
+// back in `targeted`; `windfall` is the month's lump‑sum total either way.
+function scheduledExtra(baseExtra, key, { windfalls = [], extraChanges = [] } = {}) {
+  const changes = extraChanges.filter((c) => c.from && c.from <= key && (!c.until || key <= c.until));
+  const recurring = changes.some((c) => c.kind === "pause")
+    ? 0
+    : Math.max(0, baseExtra + changes.reduce((s, c) => s + (+c.amount || 0), 0));
+  const due = windfalls.filter((w) => w.month === key && +w.amount > 0);
+  const targeted = due.filter((w) => w.debtId).map((w) => ({ debtId: w.debtId, amount: +w.amount }));
+  const windfall = due.reduce((s, w) => s + +w.amount, 0);
+  const extra = recurring + due.filter((w) => !w.debtId).reduce((s, w) => s + +w.amount, 0);
+  return { extra, recurring, targeted, windfall };
+}
+
+// Structured warnings for a finished simulation:
+// - growing: debts whose balance rose in some month (minimum below interest while waiting for extra)
+// - unpaid:  debts still open at the horizon cap, i.e. the plan never completes
+// - budget:  minimums + extra exceed the given monthly income
+function diagnosePlan(payoff, active, extra, income) {
+  const growing = [];
+  payoff.forEach((p) => {
+    const grew = p.ledger.filter((r) => r.closing > r.opening + 0.005);
+    if (!grew.length) return;
+    const first = p.ledger[0];
+    growing.push({ id: p.id, name: p.name, firstMonthIndex: grew[0].monthIndex, months: grew.length, interest: first.interest, minimum: first.minimum });
+  });
+
+  const unpaid = active
+    .map((d, i) => ({ id: payoff[i].id, name: payoff[i].name, balance: d.balance }))
+    .filter((d) => d.balance > 0.005);
+
+  const firstMinimums = payoff.reduce((s, p) => s + (p.ledger[0]?.minimum || 0), 0);
+  const budget = income > 0 && firstMinimums + extra > income
+    ? { income, minimums: firstMinimums, extra, shortfall: firstMinimums + extra - income }
+    : null;
+
+  return { complete: !unpaid.length, growing, unpaid, budget };
+}
+
+// Smallest whole‑dollar monthly extra whose plan satisfies `accept` (assumed monotone in extra), or null if none does
+function smallestExtra(debts, strategy, today, accept, options = {}) {
+  const ok = (extra) => accept(simulatePlan(debts, extra, strategy, today, options));
+  if (ok(0)) return 0;
+  let hi = 50;
+  while (!ok(hi)) {
+    hi *= 2;
+    if (hi > 1e7) return null;
+  }
+  let lo = 0;
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (ok(mid)) hi = mid; else lo = mid;
+  }
+  return hi;
+}
+
+// Smallest monthly extra with which the plan finishes inside the horizon cap, or null if none does
+function minExtraToFinish(debts, strategy = "avalanche", today = new Date(), options = {}) {
+  return smallestExtra(debts, strategy, today, (p) => p.diagnostics.complete, options);
+}
+
+// Goal: debt‑free within `targetMonths` — smallest extra that gets there with the given strategy
+function solveExtraForTarget(debts, targetMonths, strategy = "avalanche", today = new Date(), options = {}) {
+  const extra = smallestExtra(debts, strategy, today, (p) => p.diagnostics.complete && p.months <= targetMonths, options);
+  return extra == null ? null : { extra, strategy, plan: simulatePlan(debts, extra, strategy, today, options) };
+}
+
+// Goal: a fixed monthly budget (minimums + extra). Runs every strategy on the leftover extra and returns the
+// plan that finishes earliest and the allocation that costs the least interest.
+function solveForBudget(debts, budget, today = new Date(), options = {}) {
+  const minimums = debts.reduce((s, d) => s + currentMinimum(d, today), 0);
+  const extra = budget - minimums;
+  if (extra < 0) return { feasible: false, minimums, extra };
+  const runs = STRATEGIES
+    .map((s) => ({ strategy: s.id, extra, plan: simulatePlan(debts, extra, s.id, today, options) }))
+    .filter((r) => r.plan.diagnostics.complete);
+  if (!runs.length) return { feasible: false, minimums, extra };
+  const fastest = [...runs].sort((a, b) => a.plan.months - b.plan.months || a.plan.totalInterest - b.plan.totalInterest)[0];
+  const cheapest = [...runs].sort((a, b) => a.plan.totalInterest - b.plan.totalInterest || a.plan.months - b.plan.months)[0];
+  return { feasible: true, minimums, extra, fastest, cheapest };
+}
+
+// Id for a record the engine creates; Node 18 has no global `crypto`, so fall back to time + random there
+function newId() {
+  return globalThis.crypto?.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Replace the debts in `ids` with one installment loan; the origination fee (% of the amount moved) is rolled in.
+// `id` names the new loan (a fresh one by default).
+function consolidateDebts(debts, ids, { apr, termMonths, feePct, id = newId() }) {
+  const picked = debts.filter((d) => ids.includes(d.id));
+  const principal = picked.reduce((s, d) => s + startBalance(d), 0);
+  const fee = (principal * (+feePct || 0)) / 100;
+  const loan = {
+    ...EMPTY_DEBT,
+    id,
+    name: "Consolidation loan",
+    balance: principal + fee,
+    apr: +apr || 0,
+    minRule: "installment",
+    termMonths: +termMonths || 1,
+  };
+  return { picked, loan, principal, fee, debts: [...debts.filter((d) => !ids.includes(d.id)), loan] };
+}
+
+// Current plan vs. the consolidated one on the same extra/strategy. Cost = interest, plus the fee for the loan;
+// break‑even is the first month from which the consolidated plan's cumulative cost stays at or below the current one.
+// Both are null unless both plans finish — a plan that runs to the 50‑year cap has no meaningful total.
+function analyzeConsolidation(debts, ids, terms, extra, strategy = "avalanche", today = new Date(), options = {}) {
+  const { picked, loan, fee, debts: replaced } = consolidateDebts(debts, ids, terms);
+  const current = simulatePlan(debts, extra, strategy, today, options);
+  const next = simulatePlan(replaced, extra, strategy, today, options);
+
+  let cumCurrent = 0;
+  let cumNext = fee;
+  let lastWorse = -1;
+  for (let m = 0; m < Math.max(current.timeline.length, next.timeline.length); m++) {
+    cumCurrent += current.timeline[m]?.interestPaid || 0;
+    cumNext += next.timeline[m]?.interestPaid || 0;
+    if (cumNext > cumCurrent + 0.005) lastWorse = m;
+  }
+  const horizon = Math.max(current.timeline.length, next.timeline.length);
+  const currentComplete = current.diagnostics.complete;
+  const nextComplete = next.diagnostics.complete;
+  const comparable = currentComplete && nextComplete;
+
+  return {
+    loan,
+    fee,
+    current,
+    next,
+    currentComplete,
+    nextComplete,
+    breakEvenMonth: comparable && lastWorse + 1 < horizon ? lastWorse + 1 : null,
+    interestDiff: comparable ? next.totalInterest + fee - current.totalInterest : null,
+    newMinimum: currentMinimum(loan, today),
+    replacedMinimum: picked.reduce((s, d) => s + currentMinimum(d, today), 0),
+  };
+}
+
+// When the last debt is paid off (`start` for an empty plan); only meaningful once diagnostics.complete
+function debtFreeDate(run, start) {
+  return run.payoff.reduce((last, p) => (p.payoffDate > last ? p.payoffDate : last), start);
+}
+
+function onlyMinimumsPlan(debts, accrual = "monthly", today = new Date()) {
+  // simulate with zero extra to calculate baseline interest and timeline; same start as the plan so promo
+  // windows and statement cycles line up
+  return simulatePlan(debts, 0, "avalanche", today, { accrual });
+}
+
+// ---- Budget ----
+
+// Monthly roll‑up of the budget against this month's debt minimums:
+// - available: income left for debt after expenses and savings
+// - surplus:   available minus minimums — what can go to extra (negative = minimums don't fit)
+// - dti:       minimums ÷ income (null without income); emergencyMonths: fund saved ÷ monthly expenses
+function budgetSummary(budget = {}, minimums = 0) {
+  const sum = (rows) => rows.reduce((s, r) => s + (+r.amount || 0), 0);
+  const expenses = budget.expenses || [];
+  const income = sum(budget.incomeSources || []);
+  const fixed = sum(expenses.filter((e) => e.kind !== "variable"));
+  const variable = sum(expenses.filter((e) => e.kind === "variable"));
+  const savings = Math.max(0, +budget.savingsMonthly || 0);
+  const available = income - fixed - variable - savings;
+  const surplus = available - minimums;
+  const monthlyExpenses = fixed + variable;
+  return {
+    income, fixed, variable, savings, available, minimums, surplus,
+    suggestedExtra: Math.max(0, Math.floor(surplus)),
+    dti: income > 0 ? minimums / income : null,
+    emergencyMonths: monthlyExpenses > 0 ? (+budget.emergencyFundSaved || 0) / monthlyExpenses : null,
+    emergencyGoal: monthlyExpenses * (+budget.emergencyFundMonths || 0),
+  };
+}
+
+// ---- Locale & currency ----
+
+// A BCP 47 tag Intl accepts ("en-CA"; not "en_US")
+function isLocale(tag) {
+  try {
+    Intl.getCanonicalLocales(tag);
+    new Intl.NumberFormat(tag);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// A three‑letter currency code Intl can format ("EUR"; not "EURO")
+function isCurrency(code) {
+  try {
+    return /^[A-Z]{3}$/i.test(code) && !!new Intl.NumberFormat(undefined, { style: "currency", currency: code });
+  } catch {
+    return false;
+  }
+}
+
+// Formatters for the household's locale ("" = browser default) and home currency; every amount, date, chart axis
+// and export goes through these. `money` takes an optional currency code for amounts kept in a debt's own currency.
+// A bad locale falls back to the default without touching the currency; an unknown currency code is printed as
+// "1,234.50 EURO" rather than relabelled. Either is listed in `problems`.
+function makeFormat({ locale = "", currency = "USD" } = {}) {
+  const loc = locale && isLocale(locale) ? locale : undefined;
+  const problems = [
+    ...(locale && !loc ? [`Unknown locale "${locale}"`] : []),
+    ...(isCurrency(currency) ? [] : [`Unknown currency "${currency}"`]),
+  ];
+  const plain = new Intl.NumberFormat(loc, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const plainCompact = new Intl.NumberFormat(loc, { notation: "compact", maximumFractionDigits: 1 });
+  const moneyIn = (code, opts = {}) =>
+    isCurrency(code)
+      ? new Intl.NumberFormat(loc, { style: "currency", currency: code, ...opts })
+      : { format: (n) => `${(opts.notation ? plainCompact : plain).format(n)} ${code}` };
+  const money = moneyIn(currency);
+  const compact = moneyIn(currency, { notation: "compact", minimumFractionDigits: 0, maximumFractionDigits: 1 });
+  const percent = (d) => new Intl.NumberFormat(loc, { style: "percent", minimumFractionDigits: d, maximumFractionDigits: d });
+  return {
+    locale: loc,
+    currency,
+    problems,
+    money: (n, code = currency) => (code && code !== currency ? moneyIn(code) : money).format(n),
+    compact: (n) => compact.format(n),
+    pct: (n, d = 0) => percent(d).format(n),
+    month: (date) => date.toLocaleDateString(loc, { month: "short", year: "numeric" }),
+    day: (date) => date.toLocaleDateString(loc, { day: "numeric", month: "short", year: "numeric" }),
+  };
+}
+
+// Value of one unit of `code` in the home currency; 1 for the home currency (and, until one is entered, a missing rate)
+function rateToHome(code, settings) {
+  if (!code || code === settings.currency) return 1;
+  return +settings.rates?.[code] > 0 ? +settings.rates[code] : 1;
+}
+
+// Foreign currencies in use whose exchange rate hasn't been entered yet
+function missingRates(debts, settings) {
+  return [...new Set(debts.map((d) => d.currency).filter((c) => c && c !== settings.currency && !(+settings.rates?.[c] > 0)))];
+}
+
+// A debt as the plan sees it: balance and minimum floor in the home currency (percent fields don't change)
+function debtInHome(d, settings) {
+  const rate = rateToHome(d.currency, settings);
+  if (rate === 1) return d;
+  const scale = (v) => (v === "" ? v : (+v || 0) * rate);
+  return { ...d, balance: scale(d.balance), min: scale(d.min), currency: settings.currency };
+}
+
+// Logged payments in the home currency, converted at their debt's rate
+function paymentsInHome(payments, debts, settings) {
+  const rates = new Map(debts.map((d) => [d.id, rateToHome(d.currency, settings)]));
+  return payments.map((p) => {
+    const rate = rates.get(p.debtId) ?? 1;
+    if (rate === 1) return p;
+    const statementBalance = p.statementBalance === "" || p.statementBalance == null ? p.statementBalance : +p.statementBalance * rate;
+    return { ...p, amount: (+p.amount || 0) * rate, statementBalance };
+  });
+}
+
+// ---- Schedule export ----
+
+// Flat schedule, one row per debt payment, in date order. Each payment falls on the due day of the calendar month
+// it's paid in (the ledger row's month), never on a date shifted from the plan start.
+function scheduleRows(plan, debts) {
+  const dueDays = new Map(debts.map((d) => [d.id, d.dueDay]));
+  const paidIn = (r) => new Date(r.date.getFullYear(), r.date.getMonth(), 1);
+  return plan.payoff
+    .flatMap((p) => p.ledger.map((r) => ({
+      date: dueDate(paidIn(r), dueDays.get(p.id)),
+      monthIndex: r.monthIndex,
+      debtId: p.id,
+      debt: p.name || "(unnamed)",
+      payment: r.minimum + r.extra,
+      interest: r.interest,
+      remaining: r.closing,
+    })))
+    .sort((a, b) => a.date - b.date || a.debt.localeCompare(b.debt));
+}
+
+function csvCell(v) {
+  const s = String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Amounts stay machine‑readable (plain decimals); the currency column says what they're in
+function scheduleCSV(plan, debts, fmt = makeFormat()) {
+  const header = ["month", "date", "debt", "payment", "interest", "remaining", "currency"];
+  const rows = scheduleRows(plan, debts).map((r) => [
+    formatMonth(r.date), formatDay(r.date), r.debt, r.payment.toFixed(2), r.interest.toFixed(2), r.remaining.toFixed(2), fmt.currency,
+  ]);
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n");
+}
+
+// ---- Debt import ----
+
+// Fields a debt row can be mapped from; `match` guesses the CSV column from its header
+const DEBT_IMPORT_FIELDS = [
+  { key: "name", label: "Name", required: true, match: /name|account|creditor|lender|description/i },
+  { key: "balance", label: "Balance", required: true, match: /balance|owed|amount/i },
+  { key: "apr", label: "APR %", match: /apr|rate|interest/i },
+  { key: "min", label: "Minimum", match: /min|payment/i },
+  { key: "dueDay", label: "Due day", match: /due/i },
+];
+
+// Digit‑group and decimal separators of a locale ("" = system default): en "," ".", de "." ",", fr " " ","
+function numberSeparators(locale = "") {
+  const parts = new Intl.NumberFormat(!locale ? undefined : isLocale(locale) ? locale : "en-US").formatToParts(12345.6);
+  return { group: parts.find((p) => p.type === "group")?.value ?? ",", decimal: parts.find((p) => p.type === "decimal")?.value ?? "." };
+}
+
+// "$1,234.50", "(12.00)", "22.9%" -> number, read with the locale's separators ("1.234,50" in de). Plain machine
+// decimals ("5200.50", "22.9") are accepted in comma‑decimal locales too, unless they read as a grouped number there
+// ("1.234" is 1234 in de). Anything else, including separators that don't fit the locale ("1.234,50" in en), -> NaN
+// (never silently a different number).
+function parseNumber(raw, locale = "") {
+  if (typeof raw === "number") return raw;
+  const s = String(raw ?? "").trim();
+  if (!s) return NaN;
+  const negative = /^\(.*\)$/.test(s);
+  const { group, decimal } = numberSeparators(locale);
+  const esc = (c) => c.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const cleaned = s.replace(/[()$€£¥\s%]/g, "");
+  // grouped digits come in threes; whitespace groups (fr) were already stripped
+  const grouped = /\s/.test(group) ? "\\d+" : `\\d{1,3}(?:${esc(group)}\\d{3})+|\\d+`;
+  let n;
+  if (/\d/.test(cleaned) && new RegExp(`^[-+]?(?:${grouped})?(?:${esc(decimal)}\\d+)?$`).test(cleaned)) {
+    n = Number(cleaned.split(group).join("").replace(decimal, "."));
+  } else if (decimal !== "." && /^[-+]?\d*\.\d+$/.test(cleaned)) {
+    n = Number(cleaned);
+  } else {
+    return NaN;
+  }
+  return negative ? -n : n;
+}
+
+// Checks one debt's fields; returns the cleaned debt and human‑readable errors (empty when valid).
+// `strict` applies the import rules (name and balance required, values in range); without it only the types are
+// checked, since a saved debt may be half filled in (a fresh row after Reset or "Add debt"). `missing` lists the
+// required fields left empty ({ key, error }), so a form can hold those errors back until the field is touched.
+function validateDebt(fields, { strict = true, locale = "" } = {}) {
+  const errors = [];
+  const missing = [];
+  const requireField = (key, label) => {
+    if (!strict) return;
+    errors.push(`${label} is required`);
+    missing.push({ key, error: `${label} is required` });
+  };
+  const name = String(fields.name ?? "").trim();
+  if (!name) requireField("name", "Name");
+  const num = (key, label, { required = false, min = 0, max = Infinity, integer = false, fallback = 0 } = {}) => {
+    const raw = fields[key];
+    if (raw === undefined || raw === null || raw === "") {
+      if (required) requireField(key, label);
+      return fallback;
+    }
+    const n = parseNumber(raw, locale);
+    if (!Number.isFinite(n)) errors.push(`${label} "${raw}" is not a number`);
+    else if (!strict) return n;
+    else if (n < min || n > max) errors.push(`${label} must be between ${min} and ${max}`);
+    else if (integer && !Number.isInteger(n)) errors.push(`${label} must be a whole number`);
+    return Number.isFinite(n) ? n : fallback;
+  };
+  const debt = {
+    ...EMPTY_DEBT,
+    name,
+    balance: num("balance", "Balance", { required: true }),
+    apr: num("apr", "APR", { max: 100 }),
+    min: num("min", "Minimum"),
+    dueDay: num("dueDay", "Due day", { min: 1, max: 31, integer: true, fallback: 1 }),
+    minPct: num("minPct", "Minimum %", { max: 100, fallback: EMPTY_DEBT.minPct }),
+    termMonths: num("termMonths", "Term", {
+      required: fields.minRule === "installment", min: 1, max: 600, integer: true, fallback: EMPTY_DEBT.termMonths,
+    }),
+    promoApr: num("promoApr", "Promo APR", { max: 100 }),
+    transferFee: num("transferFee", "Transfer fee", { max: 100 }),
+  };
+  return { debt, errors, missing };
+}
+
+// RFC 4180‑ish CSV: quoted fields, doubled quotes, CRLF or LF
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(cell); cell = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += c;
+  }
+  if (cell || row.length) rows.push([...row, cell]);
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+// Column index per import field, guessed from the header row (-1 = not mapped)
+function guessMapping(header) {
+  const used = new Set();
+  return Object.fromEntries(DEBT_IMPORT_FIELDS.map((f) => {
+    const idx = header.findIndex((h, i) => !used.has(i) && f.match.test(h));
+    if (idx >= 0) used.add(idx);
+    return [f.key, idx];
+  }));
+}
+
+// CSV rows -> [{ line, debt, errors }] using `mapping` (field -> column index)
+function debtsFromCSV(rows, mapping, hasHeader = true, locale = "") {
+  return rows.slice(hasHeader ? 1 : 0).map((cells, i) => {
+    const fields = Object.fromEntries(DEBT_IMPORT_FIELDS.map((f) => [f.key, mapping[f.key] >= 0 ? cells[mapping[f.key]] : undefined]));
+    return { line: i + (hasHeader ? 2 : 1), ...validateDebt(fields, { locale }) };
+  });
+}
+
+export {
+  clamp, EMPTY_DEBT, MIN_RULES, ACCRUAL_MODES, monthAdd, formatMonth, formatDay, parseDay, monthsBetween, daysBetween,
+  dueDate, statementCycle, startBalance, rateAt, actualBalances, paymentStreak, normalizeDebt, minimumPayment,
+  currentMinimum, STRATEGIES, MAX_MONTHS, simulatePlan, scheduledExtra, diagnosePlan, smallestExtra, minExtraToFinish,
+  solveExtraForTarget, solveForBudget, consolidateDebts, analyzeConsolidation, debtFreeDate, onlyMinimumsPlan,
+  budgetSummary, isLocale, isCurrency, makeFormat, rateToHome, missingRates, debtInHome, paymentsInHome, scheduleRows,
+  csvCell, scheduleCSV, DEBT_IMPORT_FIELDS, parseNumber, validateDebt, parseCSV, guessMapping, debtsFromCSV,
+};
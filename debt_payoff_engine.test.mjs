@@ -0,0 +1,286 @@
+// Known amortization cases for the payoff engine. Run with `node --test`.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import {
+  simulatePlan, onlyMinimumsPlan, minimumPayment, normalizeDebt, minExtraToFinish, statementCycle, daysBetween,
+  debtFreeDate, scheduleRows, formatDay, parseNumber, parseCSV, guessMapping, debtsFromCSV, debtInHome,
+} from "./debt_payoff_engine.mjs";
+
+const START = new Date(2026, 0, 15);
+const cents = (n) => Math.round(n * 100) / 100;
+const loan = (fields) => ({ id: fields.name, dueDay: 1, minRule: "fixed", ...fields });
+
+test("installment loan: 10,000 at 6% over 36 months pays 304.22 a month", () => {
+  const d = loan({ name: "Car", balance: 10000, apr: 6, min: 0, minRule: "installment", termMonths: 36 });
+  const run = simulatePlan([d], 0, "avalanche", START);
+  assert.equal(run.months, 36);
+  run.payoff[0].ledger.forEach((r) => assert.equal(cents(r.minimum), 304.22));
+  assert.equal(cents(run.totalInterest), 951.9);
+  assert.equal(run.payoff[0].ledger.at(-1).closing, 0);
+});
+
+test("30‑year mortgage: 200,000 at 6% pays 1,199.10 a month and 231,676.38 interest", () => {
+  const d = loan({ name: "House", balance: 200000, apr: 6, min: 0, minRule: "installment", termMonths: 360 });
+  const run = simulatePlan([d], 0, "avalanche", START);
+  assert.equal(run.months, 360);
+  assert.equal(cents(run.payoff[0].ledger[0].minimum), 1199.1);
+  assert.equal(cents(run.totalInterest), 231676.38);
+});
+
+test("fixed payment: 1,000 at 12% with 100 a month takes 11 months", () => {
+  const run = simulatePlan([loan({ name: "Card", balance: 1000, apr: 12, min: 100 })], 0, "avalanche", START);
+  // closed form for an ordinary annuity: balance after n payments
+  const r = 0.01;
+  const after10 = 1000 * (1 + r) ** 10 - (100 * ((1 + r) ** 10 - 1)) / r;
+  assert.equal(run.months, 11);
+  assert.equal(cents(run.payoff[0].ledger.at(-1).minimum), cents(after10 * (1 + r)));
+  assert.equal(cents(run.totalInterest), cents(10 * 100 + after10 * (1 + r) - 1000));
+});
+
+test("extra payments finish sooner and cost less than minimums only", () => {
+  const debts = [loan({ name: "Card", balance: 5000, apr: 20, min: 150 })];
+  const baseline = onlyMinimumsPlan(debts, "monthly", START);
+  const run = simulatePlan(debts, 200, "avalanche", START);
+  assert.ok(run.months < baseline.months);
+  assert.ok(run.totalInterest < baseline.totalInterest);
+});
+
+test("avalanche clears the highest APR first, snowball the smallest balance", () => {
+  const debts = [
+    loan({ name: "Small", balance: 1500, apr: 5, min: 30 }),
+    loan({ name: "Pricey", balance: 3000, apr: 25, min: 60 }),
+  ];
+  const first = (strategy) => {
+    const run = simulatePlan(debts, 200, strategy, START);
+    return [...run.payoff].sort((a, b) => a.payoffMonthIndex - b.payoffMonthIndex)[0].name;
+  };
+  assert.equal(first("avalanche"), "Pricey");
+  assert.equal(first("snowball"), "Small");
+  const avalanche = simulatePlan(debts, 200, "avalanche", START);
+  const snowball = simulatePlan(debts, 200, "snowball", START);
+  assert.ok(avalanche.totalInterest <= snowball.totalInterest);
+});
+
+test("a plan starting on the 31st pays every month once, with its windfalls and extra changes", () => {
+  const jan31 = new Date(2026, 0, 31);
+  const options = {
+    windfalls: [{ id: "w1", month: "2026-02", amount: 100 }, { id: "w2", month: "2026-03", amount: 200 }],
+    extraChanges: [{ id: "c1", from: "2026-11", until: "", kind: "adjust", amount: 50 }],
+  };
+  const run = simulatePlan([loan({ name: "Card", balance: 20000, apr: 0, min: 100 })], 0, "avalanche", jan31, options);
+  const months = run.plan.slice(0, 12).map((r) => r.date);
+  assert.deepEqual(months.map((d) => `${d.getMonth() + 1}/${d.getDate()}`),
+    ["2/28", "3/31", "4/30", "5/31", "6/30", "7/31", "8/31", "9/30", "10/31", "11/30", "12/31", "1/31"]);
+  assert.deepEqual(run.timeline.slice(0, 3).map((t) => t.windfall), [100, 200, 0]);
+  assert.deepEqual(run.timeline.slice(8, 11).map((t) => t.extra), [0, 50, 50]);
+});
+
+test("the payment schedule has one payment per month on the due day after a start on the 31st", () => {
+  const debts = [loan({ name: "Card", balance: 1000, apr: 12, min: 100, dueDay: 12 })];
+  const run = simulatePlan(debts, 0, "avalanche", new Date(2026, 0, 31));
+  const dates = scheduleRows(run, debts).map((r) => formatDay(r.date));
+  assert.deepEqual(dates.slice(0, 4), ["2026-02-12", "2026-03-12", "2026-04-12", "2026-05-12"]);
+  assert.equal(new Set(dates).size, dates.length);
+});
+
+test("0% promo: 1,200 paid at 100 a month before the promo ends costs no interest", () => {
+  const d = loan({ name: "Transfer", balance: 1200, apr: 24, min: 100, promoApr: 0, promoUntil: "2027-02" });
+  const run = simulatePlan([d], 0, "avalanche", START);
+  assert.equal(run.months, 12);
+  assert.equal(run.totalInterest, 0);
+});
+
+test("percent‑of‑balance minimum respects its floor", () => {
+  const d = normalizeDebt(loan({ name: "Card", balance: 1000, apr: 0, min: 25, minRule: "percent", minPct: 2 }), START);
+  assert.equal(minimumPayment(d, 1000, 0), 25);
+  assert.equal(minimumPayment(d, 5000, 0), 100);
+});
+
+test("a minimum below the interest never finishes; the solver finds the extra needed", () => {
+  const debts = [loan({ name: "Card", balance: 10000, apr: 24, min: 150 })];
+  const run = simulatePlan(debts, 0, "avalanche", START);
+  assert.equal(run.diagnostics.complete, false);
+  assert.equal(run.diagnostics.growing[0].name, "Card");
+  const extra = minExtraToFinish(debts, "avalanche", START);
+  assert.ok(extra >= 50); // 10,000 × 2% = 200 interest against a 150 minimum
+  assert.equal(simulatePlan(debts, extra, "avalanche", START).diagnostics.complete, true);
+});
+
+test("daily accrual charges APR/365 on the average daily balance of each statement cycle", () => {
+  const d = loan({ name: "Card", balance: 1000, apr: 24, min: 50, dueDay: 15, statementDay: 20 });
+  const run = simulatePlan([d], 0, "avalanche", START, { accrual: "daily" });
+  const row = run.payoff[0].ledger[1];
+  const { close, due, next } = statementCycle(normalizeDebt(d, START), new Date(2026, 2, 1));
+  assert.deepEqual([close, due, next], [new Date(2026, 1, 20), new Date(2026, 2, 15), new Date(2026, 2, 20)]);
+  const dpr = 0.24 / 365;
+  const beforeDue = row.opening * dpr * daysBetween(close, due);
+  const afterDue = (row.opening + beforeDue - 50) * dpr * daysBetween(due, next);
+  assert.equal(cents(row.interest), cents(beforeDue + afterDue));
+  assert.deepEqual(row.date, due);
+  assert.deepEqual(debtFreeDate(run, START), run.payoff[0].payoffDate);
+  assert.equal(run.payoff[0].payoffDate.getDate(), 15);
+});
+
+test("daily accrual pays this month's due date when the plan starts before it", () => {
+  const d = loan({ name: "Card", balance: 2000, apr: 18, min: 60, dueDay: 25, statementDay: 5 });
+  const run = simulatePlan([d], 0, "avalanche", new Date(2026, 0, 10), { accrual: "daily" });
+  const [first, second] = run.payoff[0].ledger;
+  assert.deepEqual([first.date, second.date], [new Date(2026, 0, 25), new Date(2026, 1, 25)]);
+  const dpr = 0.18 / 365;
+  const firstBeforeDue = 2000 * dpr * 15; // Jan 10 -> Jan 25
+  assert.equal(cents(first.interest), cents(firstBeforeDue + (2000 + firstBeforeDue - 60) * dpr * 11)); // -> Feb 5
+  const beforeDue = second.opening * dpr * 20; // Feb 5 -> Feb 25
+  assert.equal(cents(second.interest), cents(beforeDue + (second.opening + beforeDue - 60) * dpr * 8)); // -> Mar 5
+});
+
+test("statement cycles chain without gaps for every statement/due day, February included", () => {
+  for (let statementDay = 1; statementDay <= 31; statementDay++) {
+    for (let dueDay = 1; dueDay <= 31; dueDay++) {
+      const d = { statementDay, dueDay };
+      const cycles = Array.from({ length: 24 }, (_, m) => statementCycle(d, new Date(2027, m, 1)));
+      const accrued = cycles.reduce((s, c) => s + daysBetween(c.close, c.next), 0);
+      assert.equal(accrued, daysBetween(cycles[0].close, cycles.at(-1).next), `statement ${statementDay}, due ${dueDay}`);
+      cycles.forEach((c) => assert.ok(c.close <= c.due && c.due <= c.next, `statement ${statementDay}, due ${dueDay}`));
+    }
+  }
+});
+
+test("foreign‑currency debts convert to the home currency", () => {
+  const d = debtInHome({ balance: 1000, min: 40, currency: "USD" }, { currency: "CAD", rates: { USD: 1.35 } });
+  assert.equal(d.balance, 1350);
+  assert.equal(d.min, 54);
+  assert.equal(d.currency, "CAD");
+});
+
+test("CSV import reads formatted amounts and reports bad rows by line", () => {
+  const rows = parseCSV('Account,Balance,APR,Min Payment\nVisa,"$5,200.00",22.99%,110\nStore,abc,25,35\n');
+  const results = debtsFromCSV(rows, guessMapping(rows[0]));
+  assert.equal(results[0].debt.balance, 5200);
+  assert.equal(results[0].debt.apr, 22.99);
+  assert.deepEqual(results[0].errors, []);
+  assert.equal(results[1].line, 3);
+  assert.match(results[1].errors[0], /Balance "abc"/);
+});
+
+test("amounts are read with the locale's separators, and ones that don't fit are rejected", () => {
+  assert.equal(parseNumber("1.234,50", "de-DE"), 1234.5);
+  assert.equal(parseNumber("1 234,50 €", "fr-FR"), 1234.5);
+  assert.equal(parseNumber("$1,234.50", "en-US"), 1234.5);
+  assert.ok(Number.isNaN(parseNumber("1.234,50", "en-US")));
+  assert.ok(Number.isNaN(parseNumber("22,99%", "en-US")));
+  assert.ok(Number.isNaN(parseNumber("$1,234.50", "de-DE")));
+});
+
+test("plain machine decimals import under a comma‑decimal locale", () => {
+  const rows = parseCSV("Name,Balance,APR,Min\nVisa,5200.50,22.9,110\nStore,\"1.350,00\",\"26,5\",35\n");
+  const results = debtsFromCSV(rows, guessMapping(rows[0]), true, "de-DE");
+  assert.deepEqual(results.map((r) => r.errors), [[], []]);
+  assert.deepEqual(results.map((r) => [r.debt.balance, r.debt.apr]), [[5200.5, 22.9], [1350, 26.5]]);
+  assert.equal(parseNumber("1.234", "de-DE"), 1234); // a group separator there, not a decimal point
+});
+
+// Runs the CLI in a fresh temp directory (removed afterwards) holding `files`; "./name" arguments point into it
+const cliPath = fileURLToPath(new URL("./debt_payoff_cli.mjs", import.meta.url));
+async function runCli(t, files, args) {
+  const dir = await mkdtemp(join(tmpdir(), "debt-cli-"));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) await writeFile(join(dir, name), content);
+  const argv = args.map((a) => (a.startsWith("./") ? join(dir, a.slice(2)) : a));
+  const { stdout } = await promisify(execFile)(process.execPath, [cliPath, ...argv]);
+  return { stdout, dir };
+}
+
+test("CLI prints a JSON summary for a debts file", async (t) => {
+  const debts = [{ name: "Car", balance: 10000, apr: 6, min: 0, minRule: "installment", termMonths: 36 }];
+  const { stdout } = await runCli(t, { "debts.json": JSON.stringify(debts) }, ["./debts.json", "--start", "2026-01-15", "--json"]);
+  const summary = JSON.parse(stdout);
+  assert.equal(summary.months, 36);
+  assert.equal(summary.totalInterest, 951.9);
+  assert.equal(summary.debtFreeDate, "2029-01-15");
+});
+
+test("CLI reads formatted amounts in JSON instead of dropping the debt", async (t) => {
+  const debts = [
+    { name: "Card", balance: "$5,200", apr: "22.9%", min: "$110", minRule: "percent", minPct: 3 },
+    { name: "Promo", balance: 1200, apr: 24, min: 100 },
+  ];
+  const { stdout } = await runCli(t, { "debts.json": JSON.stringify(debts) }, ["./debts.json", "--start", "2026-01-15", "--json"]);
+  const summary = JSON.parse(stdout);
+  assert.deepEqual(summary.payoff.map((p) => p.name), ["Card", "Promo"]);
+  const expected = simulatePlan([loan({ name: "Card", balance: 5200, apr: 22.9, min: 110, minRule: "percent", minPct: 3 }),
+    loan({ name: "Promo", balance: 1200, apr: 24, min: 100 })], 0, "avalanche", START);
+  assert.equal(summary.months, expected.months);
+});
+
+test("CLI compares against minimums only from the same --start", async (t) => {
+  const debts = [{ name: "Transfer", balance: 3000, apr: 24, min: 100, promoApr: 0, promoUntil: "2026-07" }];
+  const { stdout } = await runCli(t, { "debts.json": JSON.stringify(debts) }, ["./debts.json", "--start", "2026-01-15", "--extra", "150", "--json"]);
+  const summary = JSON.parse(stdout);
+  const normalized = [loan({ ...debts[0], dueDay: 1 })];
+  const baseline = onlyMinimumsPlan(normalized, "monthly", START);
+  const run = simulatePlan(normalized, 150, "avalanche", START);
+  assert.equal(summary.interestSaved, +(baseline.totalInterest - run.totalInterest).toFixed(2));
+});
+
+test("CLI rejects a malformed --locale or --currency with a message, not a stack trace", async (t) => {
+  const files = { "debts.json": JSON.stringify([{ name: "Card", balance: 1000, apr: 20, min: 50 }]) };
+  for (const [args, message] of [[["--locale", "en_US"], /Unknown locale "en_US"/], [["--currency", "EURO"], /Unknown currency "EURO"/]]) {
+    await assert.rejects(runCli(t, files, ["./debts.json", ...args]), (e) => {
+      assert.equal(e.code, 1);
+      assert.match(e.stderr, message);
+      assert.doesNotMatch(e.stderr, /\bat /);
+      return true;
+    });
+  }
+});
+
+test("CLI rejects a --start that isn't a real day before reading the file", async (t) => {
+  for (const start of ["2026-02-30", "2026-13-01", "2026-1-5"]) {
+    await assert.rejects(runCli(t, {}, ["./missing.json", "--start", start]), (e) => {
+      assert.equal(e.code, 1);
+      assert.match(e.stderr, /--start must be a date as YYYY-MM-DD/);
+      return true;
+    });
+  }
+});
+
+test("CLI takes --currency as the debts' currency, but won't relabel a backup in another one", async (t) => {
+  const debts = [{ name: "Card", balance: 1000, apr: 20, min: 50, currency: "EUR" }];
+  const { stdout } = await runCli(t, { "debts.json": JSON.stringify(debts) }, ["./debts.json", "--currency", "eur", "--json"]);
+  assert.ok(JSON.parse(stdout).months > 0);
+
+  const backup = { household: { debts: [{ name: "Card", balance: 1000, apr: 20, min: 50 }], settings: { currency: "USD", rates: {} } } };
+  await assert.rejects(runCli(t, { "backup.json": JSON.stringify(backup) }, ["./backup.json", "--currency", "EUR"]), (e) => {
+    assert.equal(e.code, 1);
+    assert.match(e.stderr, /is in USD; --currency EUR can't convert it/);
+    return true;
+  });
+});
+
+test("CLI reads a CSV and writes the schedule with --schedule", async (t) => {
+  const csv = 'Account,Balance,APR,Min Payment,Due\nVisa,"$5,200.00",22.99%,110,12\nStore card,"1,350",26.5,35,3\n';
+  const args = ["./debts.csv", "--strategy", "snowball", "--extra", "200", "--start", "2026-01-15", "--schedule", "./out.csv", "--json"];
+  const { stdout, dir } = await runCli(t, { "debts.csv": csv }, args);
+  const summary = JSON.parse(stdout);
+  const debts = [
+    loan({ id: "debt-1", name: "Visa", balance: 5200, apr: 22.99, min: 110, dueDay: 12 }),
+    loan({ id: "debt-2", name: "Store card", balance: 1350, apr: 26.5, min: 35, dueDay: 3 }),
+  ];
+  const run = simulatePlan(debts, 200, "snowball", START);
+  assert.equal(summary.months, run.months);
+  assert.equal(summary.totalInterest, +run.totalInterest.toFixed(2));
+  const order = [...summary.payoff].sort((a, b) => a.payoffDate.localeCompare(b.payoffDate)).map((p) => p.name);
+  assert.deepEqual(order, ["Store card", "Visa"]);
+
+  const rows = parseCSV(await readFile(join(dir, "out.csv"), "utf8")).filter((r) => r.length > 1);
+  assert.deepEqual(rows[0], ["month", "date", "debt", "payment", "interest", "remaining", "currency"]);
+  assert.deepEqual(rows[1].slice(0, 3), ["2026-02", "2026-02-03", "Store card"]);
+  const paid = rows.slice(1).reduce((s, r) => s + Number(r[3]), 0);
+  assert.equal(cents(paid), cents(5200 + 1350 + run.totalInterest));
+});